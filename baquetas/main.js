@@ -18,6 +18,53 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/OrbitControls.js';
+import { MM_PER_UNIT, UNITS, sceneToMm, mmToScene, formatLength, formatVolume, formatMass } from './modules/units.js';
+import {
+    STICK_DEFAULTS, STICK_FIELDS, TIP_FIELDS,
+    normalizeStick, withTipShape, buildStickProfile, buildTipCapProfile, createStickGeometry, createTipCapGeometry,
+    stickMassProperties
+} from './modules/stick.js';
+import { ParamPanel } from './modules/param-panel.js';
+import {
+    DRIVE_DEFAULTS, DRIVE_FIELDS, rpmToRadiansPerSecond, spindleRpm,
+    beltLength, applyBeltUVs, createBeltTexture, pulleyStepOptions
+} from './modules/drive.js';
+import {
+    TurningBlank, BLANK_WASTE_DEFAULTS, BLANK_WASTE_FIELDS, GOUGE_NOSE, blankLength, createGouge
+} from './modules/turning.js';
+import { EXPORT_FORMATS, collectParts, exportParts } from './modules/exporters.js';
+import { downloadFile } from './modules/download.js';
+import { PAGE_SIZES, STATION_STEPS, DEFAULT_STATION_STEP, toSVG, toDXF, toPrintHTML } from './modules/template.js';
+import { MeasureTool } from './modules/measure.js';
+import { radiusAt, revolvedVolume, massProperties } from './modules/profile.js';
+import { SPECIES, SPECIES_OPTIONS, DEFAULT_SPECIES } from './modules/species.js';
+import { getGrainTexture, applyAxialUVs } from './modules/grain.js';
+import {
+    FINISH_DEFAULTS, normalizeFinish, createFinishMaterials, finishBreaks, applyFinishGroups
+} from './modules/finishes.js';
+import { FinishPanel } from './modules/finish-panel.js';
+import { DESIGN_VERSION, DesignFileError, serializeDesign, parseDesign, designFilename } from './modules/design-file.js';
+import { DesignLibrary } from './modules/library.js';
+import { renderThumbnail } from './modules/thumbnail.js';
+import { encodeShareHash, decodeShareHash } from './modules/share.js';
+import { PRESETS, loadUserPresets, saveUserPreset, deleteUserPreset } from './modules/presets.js';
+import { SECTION_AXES, SECTION_AXIS_OPTIONS, SECTION_DEFAULTS, SectionView } from './modules/section.js';
+import { ExplodedView } from './modules/explode.js';
+import {
+    ASSEMBLIES, PARTS, PART_DETAIL_FIELDS, partName, assemblyName, tagPart, findPartId, getPartDetails, toPartsCSV
+} from './modules/parts.js';
+import { Highlighter } from './modules/highlight.js';
+import { LIVE_CENTER_BITE, TailstockClamp, clampTailstockX } from './modules/tailstock.js';
+import { PAIR_DEFAULTS, PAIR_LAYOUTS, comparePair } from './modules/pair.js';
+import {
+    MACHINE_DEFAULTS, MACHINE_FIELDS, machineLayout, pulleySteps, validateMachine, loadMachine, saveMachine
+} from './modules/machine.js';
+
+// Capa de las piezas ocultas desde el esquema (la cámara solo dibuja la capa 0)
+const HIDDEN_LAYER = 1;
+
+// Pausa (ms) sin cambios en las medidas de la máquina antes de reconstruir el torno
+const MACHINE_REBUILD_DELAY = 250;
 
 class App {
     constructor() {
@@ -26,12 +73,39 @@ class App {
         this.partNameDisplay = document.getElementById('part-name');
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, stencil: true });
 
         // Raycaster for mouseover
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
 
+        // Parámetros de la baqueta (mm)
+        this.stick = normalizeStick(STICK_DEFAULTS);
+
+        // Madera de la pieza
+        this.species = DEFAULT_SPECIES;
+
+        // Acabado: general más zonas a lo largo de la pieza
+        this.finish = normalizeFinish(FINISH_DEFAULTS);
+        this.notes = '';
+
+        // Unidad en la que se muestran longitudes y diámetros (internamente siempre mm)
+        this.lengthUnit = 'mm';
+
+        // Estado del motor y reloj para animación independiente de los FPS
+        this.drive = { ...DRIVE_DEFAULTS };
+        this.clock = new THREE.Clock();
+
+        // Medidas de la máquina (ver machine.js); el torno se construye a partir de ellas
+        this.machine = loadMachine();
+
+        // Simulación de torneado: tarugo por estaciones y arrastre de la gubia
+        this.blankWaste = { ...BLANK_WASTE_DEFAULTS };
+        this.blank = new TurningBlank(blankLength(this.stick.length, this.blankWaste));
+        this.turningMode = false;
+        this.blankDirty = false;
+        this.draggingTool = false;
+
         this.init();
     }
 
@@ -100,6 +174,61 @@ class App {
         // Initialize Navigation
         this.initNavigation();
 
+        // Panel de diseño de la baqueta
+        this.initDesigner();
+
+        // Selector de unidades
+        this.initUnits();
+
+        // Controles del motor
+        this.initDrive();
+
+        // Simulación de torneado
+        this.initTurning();
+
+        // Exportación de mallas
+        this.initExport();
+
+        // Plantillas 2D para el taller
+        this.initTemplates();
+
+        // Herramienta de medición
+        this.initMeasure();
+
+        // Vista en corte
+        this.initSection();
+
+        // Vista explosionada de los conjuntos del torno
+        this.initExplode();
+
+        // Selección de piezas con clic y ficha técnica
+        this.initSelection();
+
+        // Contrapunto deslizable con manija de fijación
+        this.initTailstock();
+
+        // Medidas del torno del taller
+        this.initMachine();
+
+        // Esquema de conjuntos y piezas con visibilidad
+        this.initOutliner();
+
+        // Modelos estándar y del usuario como punto de partida
+        this.initPresets();
+
+        // Modo par (comparación de dos baquetas)
+        this.initPair();
+
+        // Guardar y abrir diseños como archivos JSON
+        this.initDesignFile();
+
+        // Biblioteca local de diseños
+        this.initLibrary();
+
+        // Enlaces para compartir: el diseño y la vista se leen del fragmento de la URL
+        this.initShareLinks();
+        this.applyShareHash(window.location.hash);
+
         // Start animation loop
         this.animate();
     }
@@ -108,36 +237,1552 @@ class App {
         const navLinks = document.querySelectorAll('.nav-links a');
         const sections = document.querySelectorAll('.page-section');
 
+        // Las secciones no usan el fragmento de la URL: queda libre para los enlaces de diseño
+        this.showSection = (name) => {
+            const targetSectionId = `${name}-section`;
+
+            // Update Links
+            navLinks.forEach(l => l.classList.toggle('active', l.getAttribute('data-section') === name));
+
+            // Update Sections
+            sections.forEach(section => {
+                section.classList.remove('active');
+                if (section.id === targetSectionId) {
+                    section.classList.add('active');
+                }
+            });
+        };
+
         navLinks.forEach(link => {
-            link.addEventListener('click', () => {
-                const targetSectionId = `${link.getAttribute('data-section')}-section`;
-
-                // Update Links
-                navLinks.forEach(l => l.classList.remove('active'));
-                link.classList.add('active');
-
-                // Update Sections
-                sections.forEach(section => {
-                    section.classList.remove('active');
-                    if (section.id === targetSectionId) {
-                        section.classList.add('active');
-                    }
+            link.addEventListener('click', () => this.showSection(link.getAttribute('data-section')));
+        });
+    }
+
+
+
+    initDesigner() {
+        const fieldsContainer = document.getElementById('designer-fields');
+
+        const onChange = (key, value) => {
+            // Al cambiar de forma de punta se cargan sus medidas propias
+            this.stick = key === 'tipShape'
+                ? withTipShape(this.stick, value)
+                : normalizeStick({ ...this.stick, [key]: value });
+            this.designerPanel.setValues(this.stick);
+            this.tipPanel.setValues(this.stick);
+            this.clearPreset();
+            this.updateWorkpiece();
+        };
+
+        this.designerPanel = new ParamPanel(fieldsContainer, STICK_FIELDS, this.stick, onChange);
+        this.tipPanel = new ParamPanel(document.getElementById('tip-fields'), TIP_FIELDS, this.stick, onChange);
+
+        document.getElementById('focus-tip').addEventListener('click', () => this.focusTip());
+
+        const speciesField = { key: 'species', label: 'Madera', options: SPECIES_OPTIONS };
+        this.speciesPanel = new ParamPanel(
+            document.getElementById('species-fields'),
+            [speciesField],
+            { species: this.species },
+            (key, value) => this.setSpecies(value)
+        );
+
+        this.finishPanel = new FinishPanel(
+            document.getElementById('finish-fields'),
+            this.finish,
+            (finish) => this.setFinish(finish),
+            this.lengthUnit
+        );
+
+        this.updateStats();
+    }
+
+    // Definición completa de la pieza actual (geometría, madera y acabado)
+    getDesign() {
+        return {
+            stick: { ...this.stick },
+            species: this.species,
+            finish: structuredClone(this.finish),
+            notes: this.notes
+        };
+    }
+
+    applyDesign(design) {
+        this.stick = normalizeStick(design.stick);
+        this.species = Object.hasOwn(SPECIES, design.species) ? design.species : DEFAULT_SPECIES;
+        this.finish = normalizeFinish(design.finish);
+        this.notes = design.notes || '';
+
+        if (this.notesInput) this.notesInput.value = this.notes;
+        if (this.clearPreset) this.clearPreset();
+        this.designerPanel.setValues(this.stick);
+        this.tipPanel.setValues(this.stick);
+        this.speciesPanel.setValues({ species: this.species });
+        this.finishPanel.setFinish(this.finish);
+
+        this.updateWorkpieceMaterials();
+        this.updateWorkpiece();
+    }
+
+    setSpecies(id) {
+        this.species = Object.hasOwn(SPECIES, id) ? id : DEFAULT_SPECIES;
+        this.updateWorkpieceMaterials();
+        this.speciesPanel.setValues({ species: this.species });
+        this.updateStats();
+    }
+
+    setFinish(finish) {
+        this.finish = normalizeFinish(finish);
+        this.updateWorkpieceMaterials();
+        this.setWorkpieceGeometry(this.buildWorkpieceGeometry());
+    }
+
+    // Un material por zona de acabado, todos sobre el veteado de la especie actual
+    updateWorkpieceMaterials() {
+        const previous = this.workpiece.material;
+        this.workpiece.material = createFinishMaterials(this.finish, this.createGrain(this.species));
+        [].concat(previous).forEach(material => material.dispose());
+        if (this.highlighter) this.highlighter.refresh();
+    }
+
+    // Volumen, peso y punto de equilibrio de la pieza actual según la madera elegida
+    updateStats() {
+        const density = SPECIES[this.species].density;
+        const profile = this.getWorkpieceProfile();
+        const stats = this.turningMode
+            ? massProperties([{ ...revolvedVolume(profile), density }])
+            : stickMassProperties(this.stick, density);
+        const length = profile[profile.length - 1].y;
+
+        document.getElementById('stat-volume').textContent = formatVolume(stats.volume, this.lengthUnit);
+        document.getElementById('stat-mass').textContent = formatMass(stats.mass, this.lengthUnit);
+        document.getElementById('stat-balance').textContent =
+            `${formatLength(stats.balance, this.lengthUnit)} (${Math.round((stats.balance / length) * 100)} %)`;
+
+        if (this.pair && this.pair.enabled) this.updatePairReport();
+    }
+
+    initUnits() {
+        const unitSelect = document.getElementById('length-unit');
+        Object.entries(UNITS).forEach(([value, unit]) => unitSelect.appendChild(new Option(unit.name, value)));
+
+        unitSelect.addEventListener('change', () => {
+            this.lengthUnit = unitSelect.value;
+            this.designerPanel.setLengthUnit(this.lengthUnit, this.stick);
+            this.tipPanel.setLengthUnit(this.lengthUnit, this.stick);
+            this.finishPanel.setLengthUnit(this.lengthUnit);
+            this.pairPanel.setLengthUnit(this.lengthUnit, this.pair);
+            this.sectionPanel.setLengthUnit(this.lengthUnit, this.section);
+            this.blankPanel.setLengthUnit(this.lengthUnit, this.blankWaste);
+            this.machinePanel.setLengthUnit(this.lengthUnit, this.machineDraft);
+            this.renderMachineErrors(this.machineDraft);
+            this.renderStepPanel();
+            this.renderTemplateSteps();
+            if (this.turningMode) this.updateTurningReadout();
+            this.measureTool.setUnit(this.lengthUnit);
+            this.updateTailstockReadout();
+            if (this.selectedPart) this.selectPart(this.selectedPart);
+            this.updateStats();
+        });
+    }
+
+    // Geometría de la pieza según el modo, con aristas en los límites de las zonas de acabado
+    buildWorkpieceGeometry() {
+        const options = { breaks: finishBreaks(this.finish) };
+        return this.turningMode ? this.blank.createGeometry(options) : createStickGeometry(this.stick, options);
+    }
+
+    // Sustituye la geometría de la pieza con la fibra alineada a su eje y agrupada por acabado
+    setWorkpieceGeometry(geometry) {
+        this.workpiece.geometry.dispose();
+        this.workpiece.geometry = applyFinishGroups(applyAxialUVs(geometry), this.finish);
+    }
+
+    // Veteado procedural de la especie, con filtrado anisótropo para las vistas rasantes
+    createGrain(speciesId) {
+        const texture = getGrainTexture(speciesId);
+        texture.anisotropy = this.renderer.capabilities.getMaxAnisotropy();
+        return texture;
+    }
+
+    // En modo torneado la malla muestra el tarugo y el diseño queda como silueta guía
+    updateWorkpiece() {
+        this.updateLatheSetup();
+        this.setWorkpieceGeometry(this.buildWorkpieceGeometry());
+
+        // Oliva postiza (nylon) montada sobre la espiga
+        const capGeometry = this.turningMode ? null : createTipCapGeometry(this.stick);
+        this.tipCap.geometry.dispose();
+        this.tipCap.geometry = capGeometry || new THREE.BufferGeometry();
+        this.tipCap.visible = capGeometry !== null;
+
+        this.designGhost.geometry.dispose();
+        this.designGhost.geometry = createStickGeometry(this.stick);
+        this.designGhost.visible = this.turningMode;
+
+        if (this.turningMode) this.updateTurningReadout();
+        this.updateStats();
+    }
+
+    // Acerca la cámara a la punta de la baqueta
+    focusTip() {
+        const tip = this.workpiece.localToWorld(new THREE.Vector3(0, this.stick.length - this.stick.tipLength / 2, 0));
+        this.controls.target.copy(tip);
+        this.camera.position.set(tip.x + 0.15, tip.y + 0.1, tip.z + 0.3);
+    }
+
+    initDrive() {
+        const toggle = document.getElementById('motor-toggle');
+        this.spindleRpmDisplay = document.getElementById('spindle-rpm');
+
+        this.drivePanel = new ParamPanel(document.getElementById('drive-fields'), DRIVE_FIELDS, this.drive, (key, value) => {
+            this.drive[key] = value;
+            this.updateDriveReadout();
+        });
+
+        this.stepRpmDisplay = document.getElementById('step-rpm');
+        this.stepPanel = new ParamPanel(document.getElementById('drive-step'), this.getStepFields(), this.drive, (key, value) => {
+            this.drive[key] = Number(value);
+            this.updateBelt();
+            this.updateDriveReadout();
+        });
+
+        toggle.addEventListener('click', () => {
+            this.drive.running = !this.drive.running;
+            toggle.textContent = this.drive.running ? 'Apagar motor' : 'Encender motor';
+            toggle.classList.toggle('active', this.drive.running);
+            this.updateDriveReadout();
+        });
+
+        this.updateDriveReadout();
+    }
+
+    // Par de escalones por el que pasa la correa
+    getPulleyPair() {
+        return this.layout.pulleys[this.drive.step];
+    }
+
+    // rpm del husillo según la relación real entre las poleas del modelo
+    getSpindleRpm() {
+        const { motorRadius, spindleRadius } = this.getPulleyPair();
+        return spindleRpm(this.drive.motorRpm, motorRadius, spindleRadius);
+    }
+
+    updateDriveReadout() {
+        const rpm = this.drive.running ? this.getSpindleRpm() : 0;
+        this.spindleRpmDisplay.textContent = `${Math.round(rpm)} rpm`;
+        this.stepRpmDisplay.textContent = `${Math.round(this.getSpindleRpm())} rpm con el motor a ${this.drive.motorRpm} rpm`;
+    }
+
+    // El selector de escalón depende de las poleas de la máquina actual
+    getStepFields() {
+        return [{ key: 'step', label: 'Escalón de la correa', options: pulleyStepOptions(pulleySteps(this.machine), this.lengthUnit) }];
+    }
+
+    renderStepPanel() {
+        this.stepPanel.setFields(this.getStepFields(), this.drive);
+    }
+
+    /**
+     * Rehace la correa entre los escalones elegidos: contorno exterior tangente a ambas
+     * poleas y desplazada a lo largo del eje hasta el escalón.
+     */
+    updateBelt() {
+        const layout = this.layout;
+        const { spindleRadius, motorRadius } = this.getPulleyPair();
+        const r1 = spindleRadius + 0.02; // Radio en la polea del cabezal (la correa la rodea)
+        const r2 = motorRadius + 0.02;   // Radio en la polea del motor
+        const p1 = { x: 0.0, y: layout.axisY };          // Mapea a Z:0 (Mundo)
+        const p2 = { x: -layout.motorZ, y: layout.motorY }; // Mapea a Z:motorZ (Mundo)
+
+        const dx = p2.x - p1.x;
+        const dy = p2.y - p1.y;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        const angle = Math.atan2(dy, dx);
+        const offset = Math.acos((r1 - r2) / d);
+
+        const beltShape = new THREE.Shape();
+        // Contorno exterior
+        beltShape.absarc(p1.x, p1.y, r1, angle + offset, angle - offset, false);
+        beltShape.absarc(p2.x, p2.y, r2, angle - offset, angle + offset, false);
+
+        // Agujero interior
+        const holePath = new THREE.Path();
+        const thick = 0.04;
+        holePath.absarc(p1.x, p1.y, r1 - thick, angle + offset, angle - offset, false);
+        holePath.absarc(p2.x, p2.y, r2 - thick, angle - offset, angle + offset, false);
+        beltShape.holes.push(holePath);
+
+        const beltGeo = new THREE.ExtrudeGeometry(beltShape, { depth: 0.1, bevelEnabled: false });
+        applyBeltUVs(beltGeo, { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 });
+        // Z local apunta a +X del mundo: cada escalón queda un ancho más hacia fuera
+        beltGeo.translate(0, 0, -this.drive.step * layout.pulleyStepWidth);
+
+        this.belt.geometry.dispose();
+        this.belt.geometry = beltGeo;
+        this.beltLoopLength = beltLength(r1, r2, d);
+    }
+
+    updateDrive(delta) {
+        if (!this.drive.running) return;
+
+        const motorSpeed = rpmToRadiansPerSecond(this.drive.motorRpm);
+        const spindleSpeed = rpmToRadiansPerSecond(this.getSpindleRpm());
+
+        // El grupo del motor está girado 180° en Y, por eso su eje X local apunta al revés
+        this.motorPulley.rotation.x -= motorSpeed * delta;
+        this.spindleGroup.rotation.x += spindleSpeed * delta;
+
+        // La correa avanza a la velocidad lineal de la polea del cabezal
+        const beltSpeed = spindleSpeed * this.getPulleyPair().spindleRadius;
+        this.beltTexture.offset.x -= (beltSpeed / this.beltLoopLength) * this.beltTexture.repeat.x * delta;
+        this.beltTexture.offset.x %= 1;
+    }
+
+    initTurning() {
+        const toggle = document.getElementById('turning-toggle');
+        this.turningExcessDisplay = document.getElementById('turning-excess');
+        this.turningOvercutDisplay = document.getElementById('turning-overcut');
+
+        toggle.addEventListener('click', () => {
+            this.turningMode = !this.turningMode;
+            toggle.textContent = this.turningMode ? 'Volver al diseño' : 'Iniciar torneado';
+            toggle.classList.toggle('active', this.turningMode);
+            this.gouge.visible = this.turningMode;
+            this.updateWorkpiece();
+        });
+
+        this.blankPanel = new ParamPanel(
+            document.getElementById('blank-fields'),
+            BLANK_WASTE_FIELDS,
+            this.blankWaste,
+            (key, value) => {
+                this.blankWaste[key] = value;
+                this.updateWorkpiece();
+            },
+            this.lengthUnit
+        );
+
+        document.getElementById('turning-reset').addEventListener('click', () => {
+            this.blank.reset();
+            this.blankDirty = true;
+            this.setBlankDiscarded(false);
+        });
+
+        // La gubia se desliza en el plano horizontal que pasa por el eje
+        this.toolPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -this.layout.axisY);
+        this.toolGrabOffset = new THREE.Vector3();
+
+        // En captura para adelantarse a OrbitControls y evitar que la cámara gire al arrastrar
+        this.container.addEventListener('pointerdown', (e) => this.onToolPointerDown(e), { capture: true });
+        window.addEventListener('pointermove', (e) => this.onToolPointerMove(e));
+        window.addEventListener('pointerup', () => this.onToolPointerUp());
+    }
+
+    pointerToRay(event) {
+        const pointer = new THREE.Vector2(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+        return this.raycaster.ray;
+    }
+
+    onToolPointerDown(event) {
+        if (!this.turningMode) return;
+
+        const ray = this.pointerToRay(event);
+        if (this.raycaster.intersectObject(this.gouge, true).length === 0) return;
+
+        const hit = ray.intersectPlane(this.toolPlane, new THREE.Vector3());
+        if (!hit) return;
+
+        this.toolGrabOffset.subVectors(this.gouge.position, hit);
+        this.draggingTool = true;
+        this.controls.enabled = false;
+    }
+
+    onToolPointerMove(event) {
+        if (!this.draggingTool) return;
+
+        const hit = this.pointerToRay(event).intersectPlane(this.toolPlane, new THREE.Vector3());
+        if (hit) this.moveGouge(hit.add(this.toolGrabOffset));
+    }
+
+    onToolPointerUp() {
+        if (!this.draggingTool) return;
+        this.draggingTool = false;
+        this.controls.enabled = true;
+    }
+
+    // Mantiene la gubia dentro de la rendija; con el motor parado no puede entrar en la madera
+    moveGouge(target) {
+        const slitX = this.toolRestGroup.position.x;
+        const x = THREE.MathUtils.clamp(target.x, slitX - this.slitHalfWidth, slitX + this.slitHalfWidth);
+        let z = THREE.MathUtils.clamp(target.z, 0, 0.5);
+
+        if (!this.drive.running) {
+            const local = this.workpiece.worldToLocal(new THREE.Vector3(x, this.gouge.position.y, 0));
+            z = Math.max(z, (this.blank.radiusAt(local.y) + GOUGE_NOSE) / MM_PER_UNIT);
+        }
+
+        this.gouge.position.set(x, this.gouge.position.y, z);
+    }
+
+    updateTurning() {
+        if (!this.turningMode) return;
+
+        // La punta de la gubia expresada en el sistema de la pieza (mm): y axial, radio al eje
+        if (this.drive.running && this.drive.motorRpm > 0) {
+            const tip = this.workpiece.worldToLocal(this.gouge.position.clone());
+            const distance = Math.hypot(tip.x, tip.z);
+            if (this.blank.cut(tip.y, distance - GOUGE_NOSE)) {
+                this.blankDirty = true;
+                this.setBlankDiscarded(false);
+            }
+        }
+
+        if (this.blankDirty) {
+            this.blankDirty = false;
+            this.setWorkpieceGeometry(this.buildWorkpieceGeometry());
+            this.updateTurningReadout();
+            this.updateStats();
+        }
+    }
+
+    updateTurningReadout() {
+        const { excess, overcut } = this.blank.compare(buildStickProfile(this.stick), this.stick.length, this.blankWaste.drive);
+        this.turningExcessDisplay.textContent = formatLength(excess, this.lengthUnit);
+        this.turningOvercutDisplay.textContent = formatLength(overcut, this.lengthUnit);
+    }
+
+    initExport() {
+        const formatSelect = document.getElementById('export-format');
+        const scopeSelect = document.getElementById('export-scope');
+
+        Object.entries(EXPORT_FORMATS).forEach(([value, format]) => {
+            formatSelect.appendChild(new Option(format.label, value));
+        });
+
+        document.getElementById('export-download').addEventListener('click', () => {
+            this.exportModel(formatSelect.value, scopeSelect.value);
+        });
+    }
+
+    /**
+     * La baqueta se exporta en su propio sistema (mm, eje Y desde la culata);
+     * el torno completo en coordenadas de escena escaladas a milímetros.
+     */
+    exportModel(format, scope) {
+        const parts = scope === 'lathe'
+            ? collectParts(this.latheGroup, new THREE.Matrix4().makeScale(MM_PER_UNIT, MM_PER_UNIT, MM_PER_UNIT))
+            : collectParts(this.workpiece);
+
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const filename = `${scope === 'lathe' ? 'torno' : 'baqueta'}-ayaman.${extension}`;
+        downloadFile(filename, exportParts(parts, format), mimeType);
+    }
+
+    // Perfil actual de la pieza (mm): el tarugo en modo torneado, si no el diseño
+    getWorkpieceProfile() {
+        return this.turningMode ? this.blank.toProfile() : buildStickProfile(this.stick);
+    }
+
+    initTemplates() {
+        const pageSelect = document.getElementById('template-page');
+        const stepSelect = document.getElementById('template-step');
+        this.templateStepSelect = stepSelect;
+
+        Object.entries(PAGE_SIZES).forEach(([value, page]) => pageSelect.appendChild(new Option(page.label, value)));
+        this.renderTemplateSteps(DEFAULT_STATION_STEP);
+
+        const options = () => ({ stationStep: parseFloat(stepSelect.value), unit: this.lengthUnit });
+
+        document.getElementById('template-svg').addEventListener('click', () => {
+            downloadFile('plantilla-baqueta.svg', toSVG(this.getWorkpieceProfile(), options()), 'image/svg+xml');
+        });
+
+        document.getElementById('template-dxf').addEventListener('click', () => {
+            downloadFile('plantilla-baqueta.dxf', toDXF(this.getWorkpieceProfile(), options()), 'application/dxf');
+        });
+
+        document.getElementById('template-print').addEventListener('click', () => {
+            this.printTemplate(toPrintHTML(this.getWorkpieceProfile(), pageSelect.value, options()));
+        });
+    }
+
+    // Separaciones de estación rotuladas en la unidad elegida (el valor sigue en mm)
+    renderTemplateSteps(selected = this.templateStepSelect.value) {
+        this.templateStepSelect.innerHTML = '';
+        STATION_STEPS.forEach(step => {
+            this.templateStepSelect.appendChild(new Option(`Cada ${formatLength(step, this.lengthUnit)}`, step));
+        });
+        this.templateStepSelect.value = selected;
+    }
+
+    // Imprime desde un iframe oculto para no depender de ventanas emergentes
+    printTemplate(html) {
+        const frame = document.createElement('iframe');
+        frame.style.position = 'fixed';
+        frame.style.width = '0';
+        frame.style.height = '0';
+        frame.style.border = '0';
+        document.body.appendChild(frame);
+
+        frame.contentDocument.open();
+        frame.contentDocument.write(html);
+        frame.contentDocument.close();
+
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    }
+
+    initMeasure() {
+        this.measureTool = new MeasureTool(this.scene, document.getElementById('measure-labels'));
+        this.measureMode = null;
+        this.measureReadout = document.getElementById('measure-readout');
+
+        const buttons = {
+            distance: document.getElementById('measure-distance'),
+            diameter: document.getElementById('measure-diameter')
+        };
+
+        Object.entries(buttons).forEach(([mode, button]) => {
+            button.addEventListener('click', () => {
+                this.measureMode = this.measureMode === mode ? null : mode;
+                this.measureTool.cancelPending();
+                Object.entries(buttons).forEach(([m, b]) => b.classList.toggle('active', m === this.measureMode));
+                this.measureReadout.textContent = {
+                    distance: 'Haz clic en dos puntos de la superficie.',
+                    diameter: 'Haz clic sobre la baqueta en la estación a medir.'
+                }[this.measureMode] || '';
+            });
+        });
+
+        document.getElementById('measure-clear').addEventListener('click', () => {
+            this.measureTool.clear();
+            this.measureReadout.textContent = '';
+        });
+
+        // Un clic (sin arrastre de cámara) coloca la medida
+        const pressed = new THREE.Vector2();
+        this.container.addEventListener('pointerdown', (e) => pressed.set(e.clientX, e.clientY));
+        this.container.addEventListener('pointerup', (e) => {
+            if (this.measureMode && pressed.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) < 4) {
+                this.onMeasureClick(e);
+            }
+        });
+    }
+
+    onMeasureClick(event) {
+        this.pointerToRay(event);
+        const hit = this.intersectVisible(this.latheGroup.children)[0];
+        if (!hit) return;
+
+        if (this.measureMode === 'distance') {
+            const measurement = this.measureTool.addPoint(hit.point);
+            if (measurement) this.measureReadout.textContent = `Distancia: ${this.measureTool.describe(measurement)}`;
+            return;
+        }
+
+        if (hit.object !== this.workpiece && hit.object !== this.tipCap) {
+            this.measureReadout.textContent = 'Haz clic sobre la baqueta en la estación a medir.';
+            return;
+        }
+
+        // La estación es la altura local (mm) del punto sobre el eje de la pieza; sobre la oliva
+        // se mide su perfil, no el de la espiga de madera que queda debajo
+        const station = this.workpiece.worldToLocal(hit.point.clone()).y;
+        const profile = hit.object === this.tipCap ? buildTipCapProfile(this.stick) : this.getWorkpieceProfile();
+        const radius = radiusAt(profile, station);
+        const axisPoint = this.workpiece.localToWorld(new THREE.Vector3(0, station, 0));
+        const measurement = this.measureTool.addDiameter(axisPoint, radius / MM_PER_UNIT, station);
+        this.measureReadout.textContent = this.measureTool.describe(measurement);
+    }
+
+    initPresets() {
+        const select = document.getElementById('preset-select');
+        const deleteButton = document.getElementById('preset-delete');
+        const status = document.getElementById('preset-status');
+
+        const render = (selected = '') => {
+            this.userPresets = loadUserPresets();
+            select.innerHTML = '';
+            select.appendChild(new Option('— Elegir modelo —', ''));
+
+            const standard = document.createElement('optgroup');
+            standard.label = 'Modelos estándar';
+            Object.entries(PRESETS).forEach(([id, preset]) => standard.appendChild(new Option(preset.label, id)));
+            select.appendChild(standard);
+
+            if (this.userPresets.length) {
+                const own = document.createElement('optgroup');
+                own.label = 'Mis modelos';
+                this.userPresets.forEach(preset => own.appendChild(new Option(preset.label, preset.id)));
+                select.appendChild(own);
+            }
+
+            select.value = selected;
+            deleteButton.disabled = !this.userPresets.some(preset => preset.id === selected);
+        };
+
+        const reportStorage = (presets) => {
+            status.hidden = presets !== null;
+            return presets;
+        };
+
+        // Al cambiar la forma por otra vía la baqueta deja de ser el modelo elegido
+        this.clearPreset = () => {
+            select.value = '';
+            deleteButton.disabled = true;
+        };
+
+        // Un modelo solo cambia la forma: la madera, el acabado y las notas se conservan
+        select.addEventListener('change', () => {
+            const id = select.value;
+            const preset = PRESETS[id] || this.userPresets.find(p => p.id === id);
+            if (preset) this.applyDesign({ ...this.getDesign(), stick: preset.stick });
+            select.value = id;
+            deleteButton.disabled = !(preset && this.userPresets.includes(preset));
+        });
+
+        document.getElementById('preset-save').addEventListener('click', () => {
+            const label = window.prompt('Nombre del modelo', '');
+            if (!label || !label.trim()) return;
+            const saved = reportStorage(saveUserPreset(label.trim(), this.stick));
+            if (saved) render(saved[saved.length - 1].id);
+        });
+
+        deleteButton.addEventListener('click', () => {
+            const preset = this.userPresets.find(p => p.id === select.value);
+            if (!preset || !window.confirm(`¿Borrar el modelo "${preset.label}"?`)) return;
+            if (reportStorage(deleteUserPreset(preset.id))) render();
+        });
+
+        render();
+    }
+
+    initDesignFile() {
+        const fileInput = document.getElementById('design-file');
+        const status = document.getElementById('design-status');
+
+        this.notesInput = document.getElementById('design-notes');
+        this.notesInput.value = this.notes;
+        this.notesInput.addEventListener('input', () => {
+            this.notes = this.notesInput.value;
+        });
+
+        document.getElementById('design-save').addEventListener('click', () => {
+            const design = this.getDesign();
+            downloadFile(designFilename(design), serializeDesign(design), 'application/json');
+            status.classList.remove('error');
+            status.textContent = `Guardado en formato v${DESIGN_VERSION}.`;
+        });
+
+        document.getElementById('design-open').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                this.applyDesign(parseDesign(await file.text()));
+                status.classList.remove('error');
+                status.textContent = `Abierto: ${file.name}`;
+            } catch (error) {
+                // Cualquier otro fallo (lectura del archivo, aplicar el diseño) también se informa aquí
+                const reason = error instanceof DesignFileError ? error.message : 'no se pudo leer el archivo.';
+                status.classList.add('error');
+                status.textContent = `No se pudo abrir ${file.name}: ${reason}`;
+            }
+        });
+    }
+
+    initShareLinks() {
+        const status = document.getElementById('design-status');
+
+        document.getElementById('design-share').addEventListener('click', async () => {
+            const hash = encodeShareHash(this.getDesign(), {
+                position: this.camera.position,
+                target: this.controls.target
+            });
+            window.history.replaceState(null, '', `#${hash}`);
+
+            status.classList.remove('error');
+            try {
+                await navigator.clipboard.writeText(window.location.href);
+                status.textContent = 'Enlace copiado al portapapeles (sin las notas del cliente).';
+            } catch {
+                status.textContent = 'Enlace listo en la barra de direcciones (sin las notas del cliente).';
+            }
+        });
+
+        window.addEventListener('hashchange', () => this.applyShareHash(window.location.hash));
+    }
+
+    applyShareHash(hash) {
+        const status = document.getElementById('design-status');
+
+        // Se llama al arrancar: un enlace roto nunca debe impedir que la aplicación se inicie
+        try {
+            const shared = decodeShareHash(hash);
+            if (!shared) return;
+
+            this.showSection('modelo');
+            if (shared.design) this.applyDesign({ ...shared.design, notes: this.notes });
+            if (shared.view) {
+                this.camera.position.fromArray(shared.view.position);
+                this.controls.target.fromArray(shared.view.target);
+                this.controls.update();
+            }
+        } catch (error) {
+            const reason = error instanceof DesignFileError ? error.message : 'El enlace está incompleto o dañado.';
+            status.classList.add('error');
+            status.textContent = `No se pudo abrir el enlace: ${reason}`;
+        }
+    }
+
+    initLibrary() {
+        const nameInput = document.getElementById('library-name');
+        const customerInput = document.getElementById('library-customer');
+        const searchInput = document.getElementById('library-search');
+        const status = document.getElementById('library-status');
+        this.libraryList = document.getElementById('library-list');
+
+        if (!DesignLibrary.isSupported()) {
+            status.textContent = 'Este navegador no permite guardar una biblioteca local.';
+            document.getElementById('library-save').disabled = true;
+            return;
+        }
+        this.library = new DesignLibrary();
+
+        const report = (error) => {
+            status.classList.add('error');
+            status.textContent = `Error de la biblioteca: ${error.message}`;
+        };
+        const refresh = () => this.refreshLibrary(searchInput.value).catch(report);
+
+        document.getElementById('library-save').addEventListener('click', async () => {
+            const design = this.getDesign();
+            const name = nameInput.value.trim() || `Baqueta ${formatLength(design.stick.length, this.lengthUnit)}`;
+            try {
+                await this.library.add({
+                    name,
+                    customer: customerInput.value.trim(),
+                    document: serializeDesign(design),
+                    thumbnail: this.captureThumbnail(design)
                 });
+                status.classList.remove('error');
+                status.textContent = `Guardado en la biblioteca: ${name}`;
+                nameInput.value = '';
+                await refresh();
+            } catch (error) {
+                report(error);
+            }
+        });
+
+        searchInput.addEventListener('input', refresh);
+
+        this.libraryList.addEventListener('click', async (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const id = Number(button.closest('[data-id]').dataset.id);
+
+            try {
+                switch (button.dataset.action) {
+                    case 'open': {
+                        const entry = await this.library.get(id);
+                        this.applyDesign(parseDesign(entry.document));
+                        status.classList.remove('error');
+                        status.textContent = `Abierto: ${entry.name}`;
+                        return;
+                    }
+                    case 'duplicate':
+                        await this.library.duplicate(id);
+                        break;
+                    case 'rename': {
+                        const entry = await this.library.get(id);
+                        const name = window.prompt('Nuevo nombre del diseño', entry.name);
+                        if (!name || !name.trim()) return;
+                        await this.library.rename(id, name.trim());
+                        break;
+                    }
+                    case 'delete': {
+                        const entry = await this.library.get(id);
+                        if (!window.confirm(`¿Borrar "${entry.name}" de la biblioteca?`)) return;
+                        await this.library.remove(id);
+                        break;
+                    }
+                }
+                await refresh();
+            } catch (error) {
+                report(error);
+            }
+        });
+
+        refresh();
+    }
+
+    async refreshLibrary(query = '') {
+        const entries = await this.library.list(query);
+        const actions = { open: 'Abrir', duplicate: 'Duplicar', rename: 'Renombrar', delete: 'Borrar' };
+
+        this.libraryList.innerHTML = '';
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'panel-hint';
+            empty.textContent = query ? 'Ningún diseño coincide con la búsqueda.' : 'La biblioteca está vacía.';
+            this.libraryList.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'library-item';
+            item.dataset.id = entry.id;
+
+            const thumbnail = document.createElement('img');
+            thumbnail.src = entry.thumbnail;
+            thumbnail.alt = '';
+
+            const name = document.createElement('strong');
+            name.textContent = entry.name;
+            const details = document.createElement('span');
+            details.textContent = [entry.customer, new Date(entry.date).toLocaleDateString('es')].filter(Boolean).join(' · ');
+
+            const buttons = document.createElement('div');
+            buttons.className = 'library-actions';
+            Object.entries(actions).forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.dataset.action = action;
+                button.textContent = label;
+                buttons.appendChild(button);
             });
+
+            item.append(thumbnail, name, details, buttons);
+            this.libraryList.appendChild(item);
         });
     }
 
+    // Miniatura del diseño renderizada con el mismo WebGLRenderer de la escena
+    captureThumbnail(design) {
+        const mesh = this.createDesignMesh(design);
+        mesh.rotation.z = -Math.PI / 2;
+        mesh.scale.setScalar(1 / MM_PER_UNIT);
+
+        const url = renderThumbnail(this.renderer, mesh);
+        this.renderer.render(this.scene, this.camera);
 
+        mesh.traverse(child => {
+            child.geometry.dispose();
+            [].concat(child.material).forEach(material => material.dispose());
+        });
+        return url;
+    }
+
+    initPair() {
+        this.pair = { ...PAIR_DEFAULTS, enabled: false, editing: 'a', other: null };
+        this.pairControls = document.getElementById('pair-controls');
+        this.pairReport = document.getElementById('pair-report');
+
+        // La otra baqueta del par y los anillos de estaciones fuera de tolerancia
+        this.pairGroup = new THREE.Group();
+        this.pairGroup.userData.noExport = true;
+        this.latheGroup.add(this.pairGroup);
+
+        const toggle = document.getElementById('pair-toggle');
+        toggle.addEventListener('click', () => {
+            this.setPairEnabled(!this.pair.enabled);
+            toggle.textContent = this.pair.enabled ? 'Salir del modo par' : 'Modo par';
+            toggle.classList.toggle('active', this.pair.enabled);
+        });
+
+        this.pairEditButtons = {
+            a: document.getElementById('pair-edit-a'),
+            b: document.getElementById('pair-edit-b')
+        };
+        Object.entries(this.pairEditButtons).forEach(([side, button]) => {
+            button.addEventListener('click', () => this.editPairSide(side));
+        });
+
+        document.getElementById('pair-copy').addEventListener('click', () => {
+            this.pair.other = this.getDesign();
+            this.updatePairMesh();
+            this.updatePairReport();
+        });
+
+        const fields = [
+            { key: 'layout', label: 'Vista', options: PAIR_LAYOUTS },
+            { key: 'tolerance', label: 'Tolerancia de diámetro', min: 0.05, max: 2, step: 0.05, unit: 'mm' }
+        ];
+        this.pairPanel = new ParamPanel(document.getElementById('pair-fields'), fields, this.pair, (key, value) => {
+            this.pair[key] = value;
+            if (key === 'layout') this.updatePairMesh();
+            this.updatePairReport();
+        }, this.lengthUnit);
+    }
+
+    setPairEnabled(enabled) {
+        // Al salir se vuelve siempre a la baqueta A
+        if (!enabled && this.pair.editing === 'b') this.editPairSide('a');
+
+        this.pair.enabled = enabled;
+        this.pair.other = enabled ? this.getDesign() : null;
+        this.pairControls.hidden = !enabled;
+        this.updatePairMesh();
+        if (enabled) this.updatePairReport();
+    }
+
+    // La baqueta en edición es la montada en el torno; la otra se muestra a su lado
+    editPairSide(side) {
+        if (side === this.pair.editing) return;
+
+        const current = this.getDesign();
+        this.pair.editing = side;
+        this.applyDesign(this.pair.other);
+        this.pair.other = current;
+
+        Object.entries(this.pairEditButtons).forEach(([s, button]) => button.classList.toggle('active', s === side));
+        this.updatePairMesh();
+    }
+
+    getPairDesigns() {
+        const current = this.getDesign();
+        return this.pair.editing === 'a' ? { a: current, b: this.pair.other } : { a: this.pair.other, b: current };
+    }
+
+    clearPairGroup() {
+        [...this.pairGroup.children].forEach(child => {
+            child.traverse(object => {
+                if (!object.isMesh) return;
+                object.geometry.dispose();
+                [].concat(object.material).forEach(material => material.dispose());
+            });
+            this.pairGroup.remove(child);
+        });
+    }
+
+    /**
+     * Malla independiente de un diseño (en mm, eje Y desde la culata), con su oliva si la tiene.
+     * Sin `material` usa la madera y el acabado del diseño.
+     */
+    createDesignMesh(design, material = null) {
+        const geometry = createStickGeometry(design.stick, { breaks: finishBreaks(design.finish) });
+        applyFinishGroups(applyAxialUVs(geometry), design.finish);
+
+        const mesh = new THREE.Mesh(geometry, material || createFinishMaterials(design.finish, this.createGrain(design.species)));
+        const capGeometry = createTipCapGeometry(design.stick);
+        if (capGeometry) mesh.add(new THREE.Mesh(capGeometry, material || this.tipCap.material.clone()));
+
+        return mesh;
+    }
+
+    updatePairMesh() {
+        this.clearPairGroup();
+        if (!this.pair.enabled) return;
+
+        const overlay = this.pair.layout === 'overlay';
+
+        // Superpuestas: silueta translúcida sobre la pieza; lado a lado: con su madera y acabado
+        const mesh = this.createDesignMesh(this.pair.other, overlay
+            ? new THREE.MeshStandardMaterial({ color: 0xff9800, transparent: true, opacity: 0.35, depthWrite: false })
+            : null);
+        mesh.position.z = overlay ? 0 : -0.35;
+        mesh.rotation.copy(this.workpiece.rotation);
+        mesh.scale.copy(this.workpiece.scale);
+        tagPart(mesh, 'pairStick');
+
+        this.pairGroup.add(mesh);
+        this.pairMesh = mesh;
+    }
+
+    /**
+     * La otra baqueta y sus anillos se colocan respecto a la culata de la pieza montada y
+     * la siguen cuando la vista explosionada saca el cabezal. No cuelgan del husillo para
+     * no girar con él (lado a lado quedarían orbitando el eje).
+     */
+    followWorkpiece() {
+        this.pairGroup.position.copy(this.spindleGroup.position).add(this.workpiece.position);
+    }
+
+    updatePairReport() {
+        const { a, b } = this.getPairDesigns();
+        const result = comparePair(a, b, { tolerance: this.pair.tolerance });
+        const length = (mm) => formatLength(mm, this.lengthUnit);
+        const signed = (text, value) => (value > 0 ? `+${text}` : text);
+
+        // Anillos rojos en las estaciones fuera de tolerancia, sobre la pieza montada
+        this.pairGroup.children.filter(child => child !== this.pairMesh).forEach(ring => {
+            ring.geometry.dispose();
+            this.pairGroup.remove(ring);
+        });
+        const ringMaterial = this.pairRingMaterial ||= new THREE.MeshBasicMaterial({ color: 0xff3b30 });
+        result.outOfTolerance.forEach(station => {
+            const radius = Math.max(station.diameterA, station.diameterB) / 2 / MM_PER_UNIT + 0.004;
+            const ring = new THREE.Mesh(new THREE.TorusGeometry(radius, 0.003, 8, 48), ringMaterial);
+            ring.rotation.y = Math.PI / 2;
+            ring.position.x = station.position / MM_PER_UNIT;
+            ring.raycast = () => {};
+            this.pairGroup.add(ring);
+        });
+
+        const rows = result.stations.map(s => `
+            <tr class="${s.outOfTolerance ? 'out' : ''}">
+                <td>${length(s.position)}</td>
+                <td>${formatLength(s.diameterA, this.lengthUnit, { symbol: false })}</td>
+                <td>${formatLength(s.diameterB, this.lengthUnit, { symbol: false })}</td>
+                <td>${signed(formatLength(s.difference, this.lengthUnit, { symbol: false }), s.difference)}</td>
+            </tr>`).join('');
+
+        this.pairReport.innerHTML = `
+            <div class="readout">Peso A / B: <span>${formatMass(result.massA, this.lengthUnit)} / ${formatMass(result.massB, this.lengthUnit)}</span></div>
+            <div class="readout">Diferencia de peso: <span>${signed(formatMass(result.massDifference, this.lengthUnit), result.massDifference)}</span></div>
+            <div class="readout">Diferencia de equilibrio: <span>${signed(length(result.balanceDifference), result.balanceDifference)}</span></div>
+            <div class="readout">Diferencia de longitud: <span>${signed(length(result.lengthDifference), result.lengthDifference)}</span></div>
+            <div class="readout">Fuera de tolerancia: <span>${result.outOfTolerance.length} / ${result.stations.length} estaciones</span></div>
+            <div class="pair-table">
+                <table>
+                    <thead><tr><th>Estación</th><th>Ø A</th><th>Ø B</th><th>Δ</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+
+    initExplode() {
+        this.explodeToggle = document.getElementById('explode-toggle');
+        this.explodeToggle.addEventListener('click', () => {
+            this.explodedView.toggle();
+            this.updateExplodeToggle();
+        });
+    }
+
+    updateExplodeToggle() {
+        this.explodeToggle.textContent = this.explodedView.exploded ? 'Reagrupar' : 'Vista explosionada';
+        this.explodeToggle.classList.toggle('active', this.explodedView.exploded);
+    }
+
+    initTailstock() {
+        this.tailstockClamp = new TailstockClamp(this.clampHandle);
+        this.tailstockState = document.getElementById('tailstock-state');
+        this.centersDistance = document.getElementById('tailstock-distance');
+        this.tailstockButton = document.getElementById('tailstock-clamp');
+        this.tailstockButton.addEventListener('click', () => this.toggleTailstockClamp());
+
+        // El contrapunto solo se desliza a lo largo de la bancada: la guía inferior lo retiene en z
+        this.tailstockPlane = new THREE.Plane();
+        this.tailstockGrabOffset = 0;
+        this.draggingTailstock = false;
+        this.tailstockPointer = false;
+
+        this.container.addEventListener('pointerdown', (e) => this.onTailstockPointerDown(e), { capture: true });
+        window.addEventListener('pointermove', (e) => this.onTailstockPointerMove(e));
+        window.addEventListener('pointerup', () => this.onTailstockPointerUp());
+
+        this.blankLengthDisplay = document.getElementById('blank-length');
+        this.blankWarning = document.getElementById('blank-warning');
+        this.blankDiscarded = document.getElementById('blank-discarded');
+        this.measureCenters();
+        this.updateLatheSetup();
+    }
+
+    // Geometría fija de las puntas, medida con el torno montado (la vista explosionada las separa)
+    measureCenters() {
+        this.latheGroup.updateMatrixWorld();
+        this.tailstockX = this.tailstockGroup.position.x;
+        this.liveCenterReach = this.tailstockX - new THREE.Box3().setFromObject(this.liveCenterPoint).min.x;
+        this.driveCenterTip = new THREE.Box3().setFromObject(this.driveCenterPoint).max.x;
+    }
+
+    // Extremo del tarugo en el arrastre (x de escena, con el cabezal montado)
+    blankStartX() {
+        const exploded = this.explodedView.offsetOf(this.spindleGroup).x + this.explodedView.offsetOf(this.workpiece).x;
+        return this.spindleGroup.position.x + this.workpiece.position.x - exploded;
+    }
+
+    // Pieza montada entre puntas: el tarugo al tornear; en el diseño, la baqueta terminada (mm)
+    mountedLength() {
+        return this.turningMode ? this.blank.length : this.stick.length;
+    }
+
+    // Posición del contrapunto con la punta giratoria clavada en el extremo de la pieza montada
+    engagedTailstockX() {
+        return this.blankStartX() + mmToScene(this.mountedLength() - LIVE_CENTER_BITE) + this.liveCenterReach;
+    }
+
+    // Tarugo más largo que cabe entre puntos con el contrapunto al final de la bancada (mm)
+    blankCapacity() {
+        return sceneToMm(this.layout.tailstockTravel.max - this.liveCenterReach - this.blankStartX()) + LIVE_CENTER_BITE;
+    }
+
+    /**
+     * Corta el tarugo a la medida del diseño más los sobrantes y acerca el contrapunto
+     * hasta sujetar la pieza montada. El diseño queda dentro del tarugo tras el sobrante
+     * del arrastre. Un tarugo nuevo descarta lo torneado: se avisa en el panel de torneado.
+     */
+    updateLatheSetup() {
+        const length = blankLength(this.stick.length, this.blankWaste);
+        if (length !== this.blank.length) {
+            if (this.blank.turned) this.setBlankDiscarded(true);
+            this.blank = new TurningBlank(length, this.blank.diameter);
+        }
+        this.designGhost.position.x = this.workpiece.position.x + mmToScene(this.blankWaste.drive);
+        this.moveTailstock(this.engagedTailstockX());
+    }
+
+    setBlankDiscarded(discarded) {
+        this.blankDiscarded.hidden = !discarded;
+    }
+
+    toggleTailstockClamp() {
+        const locked = this.tailstockClamp.toggle();
+        this.tailstockButton.textContent = locked ? 'Aflojar manija' : 'Apretar manija';
+        this.tailstockButton.classList.toggle('active', !locked);
+        this.updateTailstockReadout();
+    }
+
+    // Clic en la manija: la gira. Arrastre en el resto del contrapunto: lo desliza si está suelto
+    onTailstockPointerDown(event) {
+        if (this.measureMode || this.turningMode || event.button !== 0) return;
+
+        this.pointerToRay(event);
+        const hit = this.intersectVisible(this.latheGroup.children)[0];
+        const id = hit && findPartId(hit.object);
+        if (!id || PARTS[id].assembly !== 'tailstock') return;
+
+        if (id === 'clampHandle') {
+            this.tailstockPointer = true;
+            this.toggleTailstockClamp();
+            return;
+        }
+
+        // Con la vista explosionada las piezas están fuera de su sitio: no se mueve nada
+        if (!this.tailstockClamp.free || this.explodedView.progress > 0) return;
+
+        this.tailstockPlane.setFromNormalAndCoplanarPoint(new THREE.Vector3(0, 1, 0), hit.point);
+        this.tailstockGrabOffset = this.tailstockX - hit.point.x;
+        this.tailstockPointer = true;
+        this.draggingTailstock = true;
+        this.controls.enabled = false;
+    }
+
+    onTailstockPointerMove(event) {
+        if (!this.draggingTailstock) return;
+
+        const hit = this.pointerToRay(event).intersectPlane(this.tailstockPlane, new THREE.Vector3());
+        if (hit) this.moveTailstock(hit.x + this.tailstockGrabOffset);
+    }
+
+    onTailstockPointerUp() {
+        this.tailstockPointer = false;
+        if (!this.draggingTailstock) return;
+        this.draggingTailstock = false;
+        this.controls.enabled = true;
+    }
+
+    /**
+     * Desplaza el contrapunto sin que la punta giratoria pase del extremo del tarugo.
+     * Se suma la diferencia para respetar el desplazamiento de la vista explosionada.
+     */
+    moveTailstock(x) {
+        const target = clampTailstockX(x, this.layout.tailstockTravel, this.engagedTailstockX());
+        this.tailstockGroup.position.x += target - this.tailstockX;
+        this.tailstockX = target;
+        this.updateTailstockReadout();
+    }
+
+    // Distancia libre entre las puntas de arrastre y giratoria, y largo del tarugo
+    updateTailstockReadout() {
+        const liveTip = this.tailstockX - this.liveCenterReach;
+        this.centersDistance.textContent = formatLength(sceneToMm(liveTip - this.driveCenterTip), this.lengthUnit);
+        this.blankLengthDisplay.textContent = formatLength(this.blank.length, this.lengthUnit);
+
+        const warnings = [];
+        const capacity = this.blankCapacity();
+        if (this.blank.length > capacity) {
+            warnings.push(`El tarugo no cabe entre puntos: la bancada admite hasta ${formatLength(capacity, this.lengthUnit)}.`);
+        }
+        if (this.blank.diameter > this.machine.swing) {
+            warnings.push(`El tarugo es más grueso que el volteo: el torno admite hasta Ø ${formatLength(this.machine.swing, this.lengthUnit)}.`);
+        }
+        this.blankWarning.textContent = warnings.join(' ');
+        this.blankWarning.hidden = warnings.length === 0;
+        this.tailstockState.textContent = this.tailstockClamp.locked ? 'Apretada' : 'Suelta';
+    }
 
+    initMachine() {
+        this.machineErrors = document.getElementById('machine-errors');
+        this.machineUnsaved = document.getElementById('machine-unsaved');
+
+        // El panel edita un borrador: mientras no se pueda construir, el torno no cambia
+        this.machineDraft = { ...this.machine };
+        this.machinePanel = new ParamPanel(
+            document.getElementById('machine-fields'),
+            MACHINE_FIELDS,
+            this.machineDraft,
+            (key, value) => {
+                this.machineDraft[key] = value;
+                this.setMachine(this.machineDraft);
+            },
+            this.lengthUnit
+        );
+
+        document.getElementById('machine-reset').addEventListener('click', () => {
+            this.machineDraft = { ...MACHINE_DEFAULTS };
+            this.machinePanel.setValues(this.machineDraft);
+            this.setMachine(this.machineDraft);
+        });
+    }
+
+    /**
+     * Aplica una especificación nueva si se puede construir; si no, la conserva en el
+     * panel con la lista de problemas y el torno sigue como estaba.
+     */
+    setMachine(spec) {
+        const errors = this.renderMachineErrors(spec);
+
+        // Arrastrar un deslizador dispara muchos cambios seguidos: el torno se reconstruye al soltarlo
+        clearTimeout(this.machineRebuild);
+        if (errors.length) return;
+
+        const machine = { ...spec };
+        this.machineRebuild = setTimeout(() => {
+            this.machine = machine;
+            this.machineUnsaved.hidden = saveMachine(machine);
+            // El escalón elegido puede no existir en la máquina nueva
+            this.drive.step = Math.min(this.drive.step, pulleySteps(machine).length - 1);
+            this.rebuildLathe();
+        }, MACHINE_REBUILD_DELAY);
+    }
+
+    // Lista los problemas de la especificación en la unidad elegida y los devuelve
+    renderMachineErrors(spec) {
+        const errors = validateMachine(spec, this.lengthUnit);
+        this.machineErrors.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            this.machineErrors.appendChild(item);
+        });
+        this.machineErrors.hidden = errors.length === 0;
+        return errors;
+    }
+
+    /**
+     * Sustituye el torno por uno construido con la especificación actual. Se conservan
+     * el diseño, el modo de trabajo, el corte y las piezas ocultas; la selección, las
+     * cotas y la vista explosionada se reinician porque apuntan a las piezas anteriores.
+     */
+    rebuildLathe() {
+        this.selectPart(null);
+        this.highlighter.clear('hover');
+        this.measureTool.clear();
+        this.explodedView.clear();
+        this.updateExplodeToggle();
+
+        // La otra baqueta del modo par pasa al torno nuevo
+        this.latheGroup.remove(this.pairGroup);
+        this.scene.remove(this.latheGroup);
+        this.latheGroup.traverse(object => {
+            if (!object.isMesh || object.userData.sectionHelper) return;
+            object.geometry.dispose();
+            [].concat(object.material).forEach(material => material.dispose());
+        });
+        this.beltTexture.dispose();
+
+        this.createLathe();
+        this.latheGroup.add(this.pairGroup);
+        this.updatePairMesh();
+
+        this.gouge.visible = this.turningMode;
+        this.toolPlane.constant = -this.layout.axisY;
+        this.sectionView.setRoot(this.latheGroup);
+        this.sectionView.setCenter(new THREE.Vector3(0, this.layout.axisY, 0));
+        this.tailstockClamp.attach(this.clampHandle);
+        this.measureCenters();
+
+        this.updateWorkpiece();
+        this.applyPartVisibility();
+        this.renderStepPanel();
+        this.updateDriveReadout();
+    }
+
+    initSelection() {
+        this.selectedPart = null;
+        this.highlighter = new Highlighter();
+        this.partDetail = document.getElementById('part-detail');
+        this.partDetailFields = document.getElementById('part-detail-fields');
+
+        // Un clic sin arrastre selecciona; la medición, el torneado y el contrapunto tienen prioridad
+        const pressed = new THREE.Vector2();
+        this.container.addEventListener('pointerdown', (e) => pressed.set(e.clientX, e.clientY));
+        this.container.addEventListener('pointerup', (e) => {
+            if (this.measureMode || this.turningMode || this.tailstockPointer) return;
+            if (pressed.distanceTo(new THREE.Vector2(e.clientX, e.clientY)) >= 4) return;
+
+            this.pointerToRay(e);
+            const hit = this.intersectVisible(this.latheGroup.children)[0];
+            this.selectPart(hit ? findPartId(hit.object) : null);
+        });
+
+        document.getElementById('part-detail-close').addEventListener('click', () => this.selectPart(null));
+        window.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.selectPart(null);
+        });
+    }
+
+    initOutliner() {
+        const container = document.getElementById('outliner');
+        this.hiddenParts = new Set();
+        this.outlinerParts = {};
+        this.outlinerAssemblies = {};
+
+        // Solo las piezas que existen en el torno (no la otra baqueta del modo par)
+        const present = new Set();
+        this.latheGroup.traverse(object => {
+            const id = object.userData.partId;
+            if (id) present.add(id);
+        });
+
+        Object.keys(ASSEMBLIES).forEach(assembly => {
+            const ids = Object.keys(PARTS).filter(id => PARTS[id].assembly === assembly && present.has(id));
+            if (!ids.length) return;
+
+            const group = document.createElement('div');
+            group.className = 'outliner-assembly';
+            const header = this.createOutlinerRow(assemblyName(assembly), ids, () => this.findPartMeshes(id => ids.includes(id)));
+            header.row.classList.add('assembly');
+            this.outlinerAssemblies[assembly] = { ...header, ids };
+            group.appendChild(header.row);
+
+            ids.forEach(id => {
+                const entry = this.createOutlinerRow(partName(id), [id], () => this.findPartMeshes(partId => partId === id), id);
+                this.outlinerParts[id] = entry;
+                group.appendChild(entry.row);
+            });
+            container.appendChild(group);
+        });
+
+        document.getElementById('outliner-show-all').addEventListener('click', () => {
+            this.hiddenParts.clear();
+            this.applyPartVisibility();
+        });
+
+        document.getElementById('parts-csv').addEventListener('click', () => {
+            const csv = toPartsCSV(this.getPartContext());
+            downloadFile('piezas_torno.csv', csv, 'text/csv');
+        });
+    }
+
+    /**
+     * Fila del esquema: casilla de visibilidad, nombre (clic: encuadrar y seleccionar)
+     * y botón para aislar. Al pasar el puntero se resaltan sus mallas en la escena.
+     */
+    createOutlinerRow(label, ids, getMeshes, partId = null) {
+        const row = document.createElement('div');
+        row.className = 'outliner-row';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.title = 'Mostrar u ocultar';
+        checkbox.addEventListener('change', () => this.setPartsVisible(ids, checkbox.checked));
+
+        const name = document.createElement('span');
+        name.className = 'outliner-name';
+        name.textContent = label;
+        name.addEventListener('click', () => {
+            this.focusMeshes(getMeshes());
+            if (partId) this.selectPart(partId);
+        });
+
+        const isolate = document.createElement('button');
+        isolate.className = 'outliner-isolate';
+        isolate.textContent = '◎';
+        isolate.title = 'Aislar';
+        isolate.addEventListener('click', () => this.isolateParts(ids));
+
+        row.addEventListener('mouseenter', () => this.highlighter.set('hover', getMeshes(), 0xff9800));
+        row.addEventListener('mouseleave', () => this.highlighter.clear('hover'));
+
+        row.append(checkbox, name, isolate);
+        return { row, checkbox };
+    }
+
+    // Mallas del torno cuya pieza cumple `test(partId)`
+    findPartMeshes(test) {
+        const meshes = [];
+        this.latheGroup.traverse(object => {
+            if (!object.isMesh || object.userData.sectionHelper) return;
+            const id = findPartId(object);
+            if (id && test(id)) meshes.push(object);
+        });
+        return meshes;
+    }
+
+    focusMeshes(meshes) {
+        if (!meshes.length) return;
+
+        const box = new THREE.Box3();
+        meshes.forEach(mesh => box.expandByObject(mesh));
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = box.getSize(new THREE.Vector3()).length() / 2;
+
+        // Se conserva la dirección de la vista y se ajusta la distancia al tamaño
+        const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+        const distance = Math.max(radius / Math.sin(THREE.MathUtils.degToRad(this.camera.fov / 2)), 0.3);
+        this.controls.target.copy(center);
+        this.camera.position.copy(center).addScaledVector(direction, distance);
+    }
+
+    setPartsVisible(ids, visible) {
+        ids.forEach(id => (visible ? this.hiddenParts.delete(id) : this.hiddenParts.add(id)));
+        this.applyPartVisibility();
+    }
+
+    // Aislar de nuevo lo que ya está aislado vuelve a mostrar todo
+    isolateParts(ids) {
+        const others = Object.keys(this.outlinerParts).filter(id => !ids.includes(id));
+        const isolated = ids.every(id => !this.hiddenParts.has(id)) && others.every(id => this.hiddenParts.has(id));
+        this.hiddenParts = new Set(isolated ? [] : others);
+        this.applyPartVisibility();
+    }
+
+    /**
+     * Las piezas ocultas pasan a una capa que la cámara no dibuja y el raycaster no toca,
+     * sin alterar `visible`, que la aplicación usa por su cuenta (gubia, oliva, etc.).
+     */
+    applyPartVisibility() {
+        this.latheGroup.traverse(object => {
+            const id = object.userData.partId;
+            if (id) object.layers.set(this.hiddenParts.has(id) ? HIDDEN_LAYER : 0);
+        });
+
+        Object.entries(this.outlinerParts).forEach(([id, { checkbox }]) => {
+            checkbox.checked = !this.hiddenParts.has(id);
+        });
+        Object.values(this.outlinerAssemblies).forEach(({ checkbox, ids }) => {
+            const hidden = ids.filter(id => this.hiddenParts.has(id)).length;
+            checkbox.checked = hidden === 0;
+            checkbox.indeterminate = hidden > 0 && hidden < ids.length;
+        });
+    }
+
+    // Datos de los que dependen las fichas técnicas: el diseño en curso y el torno configurado
+    getPartContext() {
+        return {
+            stick: this.stick,
+            species: this.species,
+            finish: this.finish,
+            machine: this.machine,
+            unit: this.lengthUnit
+        };
+    }
+
+    /**
+     * Fija el recuadro de información en una pieza del registro (todas sus mallas)
+     * y muestra su ficha técnica. `null` quita la selección.
+     */
+    selectPart(id) {
+        this.selectedPart = id;
+        this.highlighter.set('selection', id ? this.findPartMeshes(partId => partId === id) : [], 0x00f2ff);
+        Object.entries(this.outlinerParts || {}).forEach(([partId, { row }]) => row.classList.toggle('active', partId === id));
+        this.infoBox.classList.toggle('pinned', Boolean(id));
+        this.partDetail.hidden = !id;
+        if (!id) return;
+
+        this.partNameDisplay.innerText = partName(id);
+        this.infoBox.style.opacity = '1';
+        this.infoBox.style.transform = 'translateX(0)';
+
+        const details = getPartDetails(id, this.getPartContext());
+        this.partDetailFields.innerHTML = '';
+        if (!details) {
+            const empty = document.createElement('p');
+            empty.className = 'panel-hint';
+            empty.textContent = 'No hay ficha técnica para esta pieza.';
+            this.partDetailFields.appendChild(empty);
+            return;
+        }
+        Object.entries(PART_DETAIL_FIELDS).forEach(([key, label]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const definition = document.createElement('dd');
+            definition.textContent = details[key];
+            this.partDetailFields.append(term, definition);
+        });
+    }
+
+    initSection() {
+        const toggle = document.getElementById('section-toggle');
+        const fieldsContainer = document.getElementById('section-fields');
+
+        this.section = { ...SECTION_DEFAULTS };
+        this.sectionView = new SectionView(this.latheGroup, this.scene);
+        this.sectionView.setCenter(new THREE.Vector3(0, this.layout.axisY, 0));
+        this.renderer.localClippingEnabled = true;
+
+        // El rango del desplazamiento depende de la orientación del plano
+        const renderFields = () => {
+            const range = SECTION_AXES[this.section.axis].range;
+            this.sectionPanel = new ParamPanel(fieldsContainer, [
+                { key: 'axis', label: 'Plano de corte', options: SECTION_AXIS_OPTIONS },
+                { key: 'offset', label: 'Desplazamiento', min: -range, max: range, step: 0.5, unit: 'mm' }
+            ], this.section, (key, value) => {
+                this.section[key] = value;
+                if (key === 'axis') {
+                    this.section.offset = 0;
+                    renderFields();
+                }
+                this.sectionView.setPlane(this.section);
+            }, this.lengthUnit);
+        };
+        renderFields();
+
+        toggle.addEventListener('click', () => {
+            this.sectionView.setEnabled(!this.sectionView.enabled);
+            toggle.textContent = this.sectionView.enabled ? 'Quitar corte' : 'Vista en corte';
+            toggle.classList.toggle('active', this.sectionView.enabled);
+        });
+
+        document.getElementById('section-drive-center').addEventListener('click', () => this.focusCenter(this.driveCenterPoint));
+        document.getElementById('section-live-center').addEventListener('click', () => this.focusCenter(this.liveCenterPoint));
+    }
+
+    // Acerca la cámara a un punto del torno, de frente al corte longitudinal
+    focusCenter(point) {
+        const target = point.getWorldPosition(new THREE.Vector3());
+        this.controls.target.copy(target);
+        this.camera.position.set(target.x, target.y + 0.15, target.z + 0.9);
+    }
+
+    // Intersecciones con objetos visibles (el Raycaster no descarta los ocultos)
+    intersectVisible(objects) {
+        return this.raycaster.intersectObjects(objects, true).filter(hit => {
+            if (this.sectionView.isClipped(hit.point)) return false;
+            for (let node = hit.object; node; node = node.parent) {
+                if (!node.visible) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Construye el torno según la especificación de la máquina (ver machine.js).
+     * Se vuelve a llamar desde rebuildLathe() cuando cambia la especificación.
+     */
     createLathe() {
         this.latheGroup = new THREE.Group();
+        this.layout = machineLayout(this.machine);
+        const layout = this.layout;
 
         // Materials
-        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x5d4037, roughness: 0.8 });
         const metalMaterial = new THREE.MeshStandardMaterial({ color: 0x757575, metalness: 0.9, roughness: 0.2 });
         const lightMetalMaterial = new THREE.MeshStandardMaterial({ color: 0xeeeeee, metalness: 0.9, roughness: 0.1 });
         const darkMetalMaterial = new THREE.MeshStandardMaterial({ color: 0x666666, metalness: 0.7, roughness: 0.3 });
-        const beltMaterial = new THREE.MeshStandardMaterial({ color: 0xbbbbbb, roughness: 0.7 });
+        this.beltTexture = createBeltTexture();
+        const beltMaterial = new THREE.MeshStandardMaterial({ map: this.beltTexture, roughness: 0.7 });
+        const nylonMaterial = new THREE.MeshStandardMaterial({ color: 0xf5f5f0, roughness: 0.4 });
         const blackMetalMaterial = new THREE.MeshStandardMaterial({ color: 0x222222, metalness: 0.9, roughness: 0.2 });
         const glassMaterial = new THREE.MeshStandardMaterial({
             color: 0xaaaaaa,
@@ -147,45 +1792,58 @@ class App {
             roughness: 0.1
         });
 
+        // Escala: 1 unidad = MM_PER_UNIT mm (100 mm), de modo que todas las medidas son reales
         // 1. Bed
-        const bedGeo = new THREE.BoxGeometry(9.5, 0.4, 0.4); // Extendido de 8 a 9.5
+        // Las vigas arrancan bajo el cabezal y se extienden hacia el contrapunto
+        const bedCenterX = (layout.bedStart + layout.bedEnd) / 2;
+        const bedGeo = new THREE.BoxGeometry(layout.bedLength, 0.4, 0.4);
         const beam1 = new THREE.Mesh(bedGeo, lightMetalMaterial);
-        beam1.position.set(0.75, 0, 0.3); // Desplazado un poco a la derecha para cubrir el contrapunto
-        beam1.name = "Bancada (Viga 1)";
+        beam1.position.set(bedCenterX, 0, 0.3);
+        tagPart(beam1, 'bedBeam1');
 
         const beam2 = new THREE.Mesh(bedGeo, lightMetalMaterial);
-        beam2.position.set(0.75, 0, -0.3);
-        beam2.name = "Bancada (Viga 2)";
+        beam2.position.set(bedCenterX, 0, -0.3);
+        tagPart(beam2, 'bedBeam2');
         this.latheGroup.add(beam1, beam2);
 
-        // 2. Headstock (Cabezal) - Elevado para sentarse sobre la bancada (y=0.2)
+        // 2. Headstock (Cabezal) - Elevado para sentarse sobre la bancada (y=0.2) y 0.7 por encima del eje
         // Se añade un micro-offset (0.001) para evitar Z-fighting con las caras de las vigas
-        const headstockBase = new THREE.Mesh(new THREE.BoxGeometry(1.5, 1.5, 1.2), lightMetalMaterial);
-        headstockBase.position.set(-3.25, 0.951, 0);
-        headstockBase.name = "Base del Cabezal";
+        const headstockHeight = layout.axisY + 0.5;
+        const headstockBase = new THREE.Mesh(new THREE.BoxGeometry(1.5, headstockHeight, 1.2), lightMetalMaterial);
+        headstockBase.position.set(layout.spindleX, 0.201 + headstockHeight / 2, 0);
+        tagPart(headstockBase, 'headstockBase');
         this.latheGroup.add(headstockBase);
 
 
         // 3. Spindle
         this.spindleGroup = new THREE.Group();
-        this.spindleGroup.position.set(-3.25, 1, 0);
+        this.spindleGroup.position.set(layout.spindleX, layout.axisY, 0);
 
         const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 2.5, 16), metalMaterial); // Más largo
         shaft.rotation.z = Math.PI / 2;
         shaft.position.x = 0.9; // Alineado con la nueva posición de la correa
-        shaft.name = "Eje del Cabezal";
+        tagPart(shaft, 'spindleShaft');
         this.spindleGroup.add(shaft);
 
-        this.spindlePulley = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 0.2, 32), metalMaterial);
-        this.spindlePulley.rotation.z = Math.PI / 2;
-        this.spindlePulley.position.x = -0.9; // Alineado con X = -4.15
-        this.spindlePulley.name = "Polea del Cabezal";
+        // Polea escalonada: el escalón 0 (el mayor, el más lento) queda junto al cabezal
+        this.spindlePulley = new THREE.Group();
+        this.spindlePulley.position.x = -0.9; // Alineado con la polea del motor
+        layout.pulleys.forEach(({ spindleRadius }, i) => {
+            const step = new THREE.Mesh(
+                new THREE.CylinderGeometry(spindleRadius, spindleRadius, layout.pulleyStepWidth, 32),
+                metalMaterial
+            );
+            step.rotation.z = Math.PI / 2;
+            step.position.x = -i * layout.pulleyStepWidth;
+            tagPart(step, 'spindlePulley');
+            this.spindlePulley.add(step);
+        });
         this.spindleGroup.add(this.spindlePulley);
 
         const chuck = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 0.5, 6), metalMaterial);
         chuck.rotation.z = Math.PI / 2;
         chuck.position.x = 1.05;
-        chuck.name = "Mandril / Plato";
+        tagPart(chuck, 'chuck');
         this.spindleGroup.add(chuck);
 
         // Punto de Arrastre (Drive Center)
@@ -194,14 +1852,15 @@ class App {
 
         const dcBase = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.2, 16), metalMaterial);
         dcBase.rotation.z = Math.PI / 2;
-        dcBase.name = "Base del Punto de Arrastre";
+        tagPart(dcBase, 'driveCenterBase');
         driveCenter.add(dcBase);
 
         const dcPoint = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.3, 16), lightMetalMaterial);
         dcPoint.rotation.z = -Math.PI / 2;
         dcPoint.position.x = 0.2;
-        dcPoint.name = "Punto de Arrastre (Punta)";
+        tagPart(dcPoint, 'driveCenterPoint');
         driveCenter.add(dcPoint);
+        this.driveCenterPoint = dcPoint;
 
         this.spindleGroup.add(driveCenter);
 
@@ -209,18 +1868,19 @@ class App {
 
         // 4. Contrapunto (Tailstock)
         const tsGroup = new THREE.Group();
-        tsGroup.position.set(4.0, 0, 0);
+        tsGroup.position.set(layout.tailstockTravel.max, 0, 0); // Retirado hasta que se monta el tarugo
 
-        // Base Deslizable (Sled/Suela) - Aumentada en altura hasta el nivel de los refuerzos (y=0.7)
-        const tsSled = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.5, 1.0), darkMetalMaterial);
-        tsSled.position.y = 0.45; // Bottom at 0.2 (on beams), Top at 0.7
-        tsSled.name = "Suela Deslizable del Contrapunto";
+        // Base Deslizable (Sled/Suela) - Llega hasta el soporte del rodamiento, 0.3 bajo el eje
+        const sledTop = layout.axisY - 0.3;
+        const tsSled = new THREE.Mesh(new THREE.BoxGeometry(1.2, sledTop - 0.2, 1.0), darkMetalMaterial);
+        tsSled.position.y = (0.2 + sledTop) / 2; // Apoyada sobre las vigas (y=0.2)
+        tagPart(tsSled, 'tailstockSled');
         tsGroup.add(tsSled);
 
         // Bloque Guía (Chaveta/Guía inferior) - Alargado
         const tsGuide = new THREE.Mesh(new THREE.BoxGeometry(1.2, 0.2, 0.19), darkMetalMaterial);
         tsGuide.position.y = 0.1; // Se inserta entre las vigas (las caras internas están en y=0.2 y z=±0.1)
-        tsGuide.name = "Guía de Alineación inferior";
+        tagPart(tsGuide, 'tailstockGuide');
         tsGroup.add(tsGuide);
 
 
@@ -228,8 +1888,8 @@ class App {
         // Soporte del Rodamiento (Housing)
         const bearingHousing = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.3, 0.6, 32), lightMetalMaterial);
         bearingHousing.rotation.z = Math.PI / 2;
-        bearingHousing.position.set(0, 1, 0);
-        bearingHousing.name = "Alojamiento del Rodamiento";
+        bearingHousing.position.set(0, layout.axisY, 0);
+        tagPart(bearingHousing, 'bearingHousing');
         tsGroup.add(bearingHousing);
 
         // Refuerzos Trapezoidales (Escuadras de refuerzo laterales)
@@ -237,16 +1897,16 @@ class App {
             const shape = new THREE.Shape();
             const direction = isPositiveZ ? -1 : 1;
 
-            shape.moveTo(0, 0.7);
-            shape.lineTo(0.5 * direction, 0.7);
-            shape.lineTo(0, 1.15);
-            shape.lineTo(0, 0.7);
+            shape.moveTo(0, sledTop);
+            shape.lineTo(0.5 * direction, sledTop);
+            shape.lineTo(0, sledTop + 0.45);
+            shape.lineTo(0, sledTop);
 
             const geo = new THREE.ExtrudeGeometry(shape, { depth: 0.1, bevelEnabled: false });
             const brace = new THREE.Mesh(geo, lightMetalMaterial);
             brace.rotation.y = Math.PI / 2;
             brace.position.set(-0.05, 0, 0);
-            brace.name = "Escuadra de Refuerzo";
+            tagPart(brace, 'tailstockBrace');
             return brace;
         };
 
@@ -260,14 +1920,14 @@ class App {
         // Soporte de la manija - Altura 0.5 (va de y=-0.05 a y=0.45)
         const clampBase = new THREE.Mesh(new THREE.BoxGeometry(0.3, 0.5, 0.2), darkMetalMaterial);
         clampBase.position.y = 0.1; // Desplazado hacia arriba para mantener el tope en la mitad de la suela
-        clampBase.name = "Soporte de Fijación";
+        tagPart(clampBase, 'clampBase');
         clampGroup.add(clampBase);
 
         // Espárrago / Tornillo de apriete - Acortado
         const bolt = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.2, 16), metalMaterial);
         bolt.rotation.x = Math.PI / 2;
         bolt.position.z = 0.1;
-        bolt.name = "Tornillo de Apriete";
+        tagPart(bolt, 'clampBolt');
         clampGroup.add(bolt);
 
         // Manija Giratoria (Palanca)
@@ -276,134 +1936,149 @@ class App {
 
         // Eje central de la manija
         const handleCenter = new THREE.Mesh(new THREE.SphereGeometry(0.06, 16, 16), lightMetalMaterial);
-        handleCenter.name = "Manija de Fijación";
+        tagPart(handleCenter, 'clampHandle');
         handleGroup.add(handleCenter);
 
         // Brazos de la palanca (Manija en Cruz)
         const leverGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.3, 16);
         const lever1 = new THREE.Mesh(leverGeo, lightMetalMaterial);
         lever1.rotation.z = Math.PI / 2;
-        lever1.name = "Manija de Fijación";
+        tagPart(lever1, 'clampHandle');
 
         const lever2 = new THREE.Mesh(leverGeo, lightMetalMaterial);
-        lever2.name = "Manija de Fijación";
+        tagPart(lever2, 'clampHandle');
 
         handleGroup.add(lever1, lever2);
         clampGroup.add(handleGroup);
+        this.clampHandle = handleGroup;
 
         tsGroup.add(clampGroup);
 
         // Rodamiento (Bearing) - Un anillo metálico
         const bearing = new THREE.Mesh(new THREE.TorusGeometry(0.15, 0.05, 16, 32), metalMaterial);
-        bearing.position.set(-0.35, 1, 0);
+        bearing.position.set(-0.35, layout.axisY, 0);
         bearing.rotation.y = Math.PI / 2;
-        bearing.name = "Rodamiento de Bolas";
+        tagPart(bearing, 'bearing');
         tsGroup.add(bearing);
 
         // Punta Giratoria (Live Center)
         const liveCenter = new THREE.Group();
-        liveCenter.position.set(-0.4, 1, 0);
+        liveCenter.position.set(-0.4, layout.axisY, 0);
 
         const lcPoint = new THREE.Mesh(new THREE.ConeGeometry(0.12, 0.4, 16), lightMetalMaterial);
         lcPoint.rotation.z = -Math.PI / 2;
         lcPoint.position.x = -0.2;
-        lcPoint.name = "Punto Giratorio (Punta)";
+        tagPart(lcPoint, 'liveCenterPoint');
         liveCenter.add(lcPoint);
+        this.liveCenterPoint = lcPoint;
 
         const lcBase = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.15, 0.2, 16), metalMaterial);
         lcBase.rotation.z = Math.PI / 2;
-        lcBase.name = "Base de la Punta";
+        tagPart(lcBase, 'liveCenterBase');
         liveCenter.add(lcBase);
 
         tsGroup.add(liveCenter);
         this.latheGroup.add(tsGroup);
+        this.tailstockGroup = tsGroup;
 
         // 5. Motor
         this.motorGroup = new THREE.Group();
-        this.motorGroup.position.set(-3.25, -0.801, -1.5);
+        this.motorGroup.position.set(layout.spindleX, layout.motorY, layout.motorZ);
         this.motorGroup.rotation.y = Math.PI; // Rotación de 180 grados
 
         const motorBody = new THREE.Mesh(new THREE.CylinderGeometry(0.5, 0.5, 1.2, 16), lightMetalMaterial);
         motorBody.rotation.z = Math.PI / 2;
-        motorBody.name = "Motor Eléctrico (Cuerpo)";
+        tagPart(motorBody, 'motorBody');
         this.motorGroup.add(motorBody);
 
         // Eje del motor
-        const shaftGeo = new THREE.CylinderGeometry(0.08, 0.08, 0.6, 16);
+        // Se alarga con los escalones para que la polea entera quede sobre el eje
+        const stepsWidth = (layout.pulleys.length - 1) * layout.pulleyStepWidth;
+        const shaftGeo = new THREE.CylinderGeometry(0.08, 0.08, 0.6 + stepsWidth, 16);
         const motorShaft = new THREE.Mesh(shaftGeo, metalMaterial);
         motorShaft.rotation.z = Math.PI / 2;
-        motorShaft.position.x = 0.8; // Sobresale del cuerpo
-        motorShaft.name = "Eje del Motor";
+        motorShaft.position.x = 0.8 + stepsWidth / 2; // Sobresale del cuerpo
+        tagPart(motorShaft, 'motorShaft');
         this.motorGroup.add(motorShaft);
 
-        this.motorPulley = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.2, 32), metalMaterial);
-        this.motorPulley.rotation.z = Math.PI / 2;
+        // Escalones opuestos a los del cabezal: el grupo está girado 180°, así que +X local mira hacia fuera
+        this.motorPulley = new THREE.Group();
         this.motorPulley.position.x = 0.9; // Posicionada sobre el eje
-        this.motorPulley.name = "Polea del Motor";
+        layout.pulleys.forEach(({ motorRadius }, i) => {
+            const step = new THREE.Mesh(
+                new THREE.CylinderGeometry(motorRadius, motorRadius, layout.pulleyStepWidth, 32),
+                metalMaterial
+            );
+            step.rotation.z = Math.PI / 2;
+            step.position.x = i * layout.pulleyStepWidth;
+            tagPart(step, 'motorPulley');
+            this.motorPulley.add(step);
+        });
         this.motorGroup.add(this.motorPulley);
 
         this.latheGroup.add(this.motorGroup);
 
-        // 6. Correa de Transmisión Realista (Geometría Variable)
-        const r1 = 0.42; // Radio en la polea del cabezal (polea 0.4)
-        const r2 = 0.22; // Radio en la polea del motor (polea 0.2)
-        const p1 = { x: 0.0, y: 1.0 };    // Mapea a Z:0, Y:1.0 (Mundo)
-        const p2 = { x: 1.5, y: -0.801 }; // Mapea a Z:-1.5, Y:-0.8 (Mundo)
-
-        const dx = p2.x - p1.x;
-        const dy = p2.y - p1.y;
-        const d = Math.sqrt(dx * dx + dy * dy);
-        const angle = Math.atan2(dy, dx);
-        const offset = Math.acos((r1 - r2) / d);
-
-        const beltShape = new THREE.Shape();
-        // Contorno exterior
-        beltShape.absarc(p1.x, p1.y, r1, angle + offset, angle - offset, false);
-        beltShape.absarc(p2.x, p2.y, r2, angle - offset, angle + offset, false);
-
-        // Agujero interior
-        const holePath = new THREE.Path();
-        const thick = 0.04;
-        holePath.absarc(p1.x, p1.y, r1 - thick, angle + offset, angle - offset, false);
-        holePath.absarc(p2.x, p2.y, r2 - thick, angle - offset, angle + offset, false);
-        beltShape.holes.push(holePath);
-
-        const beltGeo = new THREE.ExtrudeGeometry(beltShape, { depth: 0.1, bevelEnabled: false });
-        const beltVisual = new THREE.Mesh(beltGeo, beltMaterial);
+        // 6. Correa de Transmisión: su contorno depende del escalón elegido (ver updateBelt)
+        this.belt = new THREE.Mesh(new THREE.BufferGeometry(), beltMaterial);
 
         // Posicionamiento: alinear el plano local XY con el plano YZ del mundo
-        beltVisual.rotation.y = Math.PI / 2;
-        beltVisual.position.x = -4.2; // Centrado exacto en las poleas (Mundo X = -4.15)
-
-        beltVisual.name = "Correa de Transmisión";
-        this.latheGroup.add(beltVisual);
-
-        // 7. Pieza de Madera
-        const woodPiece = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, 4.85, 32), woodMaterial);
-        woodPiece.rotation.z = Math.PI / 2;
-        woodPiece.position.set(4.125, 0, 0);
-        woodPiece.name = "Pieza de Trabajo (Madera)";
-        this.spindleGroup.add(woodPiece);
+        this.belt.rotation.y = Math.PI / 2;
+        this.belt.position.x = layout.spindleX - 0.95; // Centrado exacto en las poleas (0.9 por detrás del husillo)
+
+        tagPart(this.belt, 'belt');
+        this.latheGroup.add(this.belt);
+        this.updateBelt();
+
+        // 7. Pieza de Madera (Baqueta paramétrica: perfil en mm revolucionado con LatheGeometry)
+        this.workpiece = new THREE.Mesh(new THREE.BufferGeometry(), []);
+        this.updateWorkpieceMaterials();
+        this.setWorkpieceGeometry(this.buildWorkpieceGeometry());
+        this.workpiece.rotation.z = -Math.PI / 2; // El eje Y del perfil pasa a ser el eje X del cabezal
+        this.workpiece.scale.setScalar(1 / MM_PER_UNIT);
+        this.workpiece.position.set(1.7, 0, 0); // La culata se apoya en el Punto de Arrastre
+        tagPart(this.workpiece, 'workpiece');
+        this.spindleGroup.add(this.workpiece);
+
+        const capGeometry = createTipCapGeometry(this.stick);
+        this.tipCap = new THREE.Mesh(capGeometry || new THREE.BufferGeometry(), nylonMaterial);
+        this.tipCap.visible = capGeometry !== null;
+        tagPart(this.tipCap, 'nylonTip');
+        this.workpiece.add(this.tipCap);
+
+        // Silueta del diseño como guía mientras se tornea (no participa del raycasting)
+        this.designGhost = new THREE.Mesh(
+            createStickGeometry(this.stick),
+            new THREE.MeshBasicMaterial({ color: 0x00f2ff, wireframe: true, transparent: true, opacity: 0.25, depthWrite: false })
+        );
+        this.designGhost.position.copy(this.workpiece.position);
+        this.designGhost.rotation.copy(this.workpiece.rotation);
+        this.designGhost.scale.copy(this.workpiece.scale);
+        this.designGhost.visible = false;
+        this.designGhost.raycast = () => {};
+        this.designGhost.userData.noExport = true;
+        this.spindleGroup.add(this.designGhost);
 
         // 8. Base Plana (Fundación)
-        const baseGeo = new THREE.BoxGeometry(9.5, 0.1, 4.0); // Expandido de 2.8 a 4.0
+        const baseDepth = layout.base.front - layout.base.back;
+        const baseGeo = new THREE.BoxGeometry(layout.bedLength, 0.1, baseDepth);
         const basePlate = new THREE.Mesh(baseGeo, glassMaterial);
         // Posicionada debajo de las vigas con un offset mínimo (0.005) para evitar Z-fighting
-        basePlate.position.set(0.75, -0.255, -0.15); // Reajustado para cubrir motor y lado opuesto
-        basePlate.name = "Base de la Bancada";
+        basePlate.position.set(bedCenterX, layout.base.top - 0.05, (layout.base.front + layout.base.back) / 2);
+        tagPart(basePlate, 'bedBase');
         this.latheGroup.add(basePlate);
 
         // 9. Sistema de Apoyo Dual (Banjo Doble)
         this.toolRestGroup = new THREE.Group();
-        // Centrado con la pieza de madera (x = 0.875) y separado para mayor comodidad (z = 0.9)
-        this.toolRestGroup.position.set(0.875, -0.2, 0.9);
-
-
+        // Arranca junto al punto de arrastre, con la rendija a la altura del eje y separado para mayor comodidad
+        const rest = layout.toolRest;
+        this.toolRestGroup.position.set(rest.x, rest.y, rest.z);
 
         // El Recliende (Soporte en T) compartido - Extendido hacia abajo hasta la base
-        const theRest = new THREE.Mesh(new THREE.BoxGeometry(5.0, 0.93, 1.3), lightMetalMaterial);
-        theRest.position.set(0, 0.46, 0.3);
-        theRest.name = "Apoyo en T (Base)";
+        // El borde frontal queda fijo bajo la rendija (z = -0.35) y el fondo crece hacia atrás
+        const restBottom = layout.base.top - rest.y;
+        const theRest = new THREE.Mesh(new THREE.BoxGeometry(rest.length, 0.925 - restBottom, rest.depth), lightMetalMaterial);
+        theRest.position.set(0, (0.925 + restBottom) / 2, rest.depth / 2 - 0.35);
+        tagPart(theRest, 'toolRestBase');
         this.toolRestGroup.add(theRest);
 
         // Sistema de Rendija Vertical (Guía para herramientas) - Bajado a 0.925
@@ -414,18 +2089,18 @@ class App {
         const stripHeightY = 0.2;  // Grosor aumentado
         const slitHeightY = 0.15;  // Amplitud de la rendija
         const stripThicknessZ = 0.1;
-        const stripGeo = new THREE.BoxGeometry(5.0, stripHeightY, stripThicknessZ);
+        const stripGeo = new THREE.BoxGeometry(rest.length, stripHeightY, stripThicknessZ);
 
         // Canto Inferior
         const stripBottom = new THREE.Mesh(stripGeo, metalMaterial);
         stripBottom.position.y = stripHeightY / 2;
-        stripBottom.name = "Sistema de Rendija";
+        tagPart(stripBottom, 'slitSystem');
         slitGroup.add(stripBottom);
 
         // Canto Superior
         const stripTop = new THREE.Mesh(stripGeo, metalMaterial);
         stripTop.position.y = stripHeightY + slitHeightY + stripHeightY / 2;
-        stripTop.name = "Sistema de Rendija";
+        tagPart(stripTop, 'slitSystem');
         slitGroup.add(stripTop);
 
         // Conectores laterales (Extremos en X) que cierran la estructura verticalmente
@@ -433,25 +2108,26 @@ class App {
         const connGeo = new THREE.BoxGeometry(0.1, connHeight, stripThicknessZ);
 
         const connLeft = new THREE.Mesh(connGeo, metalMaterial);
-        connLeft.position.set(-2.45, connHeight / 2, 0);
-        connLeft.name = "Sistema de Rendija";
+        const connX = rest.length / 2 - 0.05;
+        connLeft.position.set(-connX, connHeight / 2, 0);
+        tagPart(connLeft, 'slitSystem');
 
         const connRight = new THREE.Mesh(connGeo, metalMaterial);
-        connRight.position.set(2.45, connHeight / 2, 0);
-        connRight.name = "Sistema de Rendija";
+        connRight.position.set(connX, connHeight / 2, 0);
+        tagPart(connRight, 'slitSystem');
 
         // Soportes de Cierre Lateral (Muretes) que recorren toda la profundidad del apoyo en T
-        const wallDepth = 1.3;
+        const wallDepth = rest.depth;
         const wallGeo = new THREE.BoxGeometry(0.1, connHeight, wallDepth);
 
         const wallLeft = new THREE.Mesh(wallGeo, metalMaterial);
-        // Alineado con el eje X del conector y centrado en la profundidad del apoyo en T (offset 0.6 respecto al slit)
-        wallLeft.position.set(-2.45, connHeight / 2, 0.6);
-        wallLeft.name = "Sistema de Rendija";
+        // Alineado con el eje X del conector y centrado en la profundidad del apoyo en T (desde el frente del slit)
+        wallLeft.position.set(-connX, connHeight / 2, wallDepth / 2 - 0.05);
+        tagPart(wallLeft, 'slitSystem');
 
         const wallRight = new THREE.Mesh(wallGeo, metalMaterial);
-        wallRight.position.set(2.45, connHeight / 2, 0.6);
-        wallRight.name = "Sistema de Rendija";
+        wallRight.position.set(connX, connHeight / 2, wallDepth / 2 - 0.05);
+        tagPart(wallRight, 'slitSystem');
 
         slitGroup.add(connLeft, connRight, wallLeft, wallRight);
 
@@ -475,17 +2151,75 @@ class App {
             // xPos: 2.4 (Extrusion va hacia 2.3) o -2.4 (Extrusion va hacia -2.5)
             const finalX = xPos;
             brace.position.set(finalX, 0, 0.05);
-            brace.name = "Sistema de Rendija";
+            tagPart(brace, 'slitSystem');
             return brace;
         };
 
-        slitGroup.add(createBrace(-2.4, false));
-        slitGroup.add(createBrace(2.5, true));
+        slitGroup.add(createBrace(-(rest.length / 2 - 0.1), false));
+        slitGroup.add(createBrace(rest.length / 2, true));
 
         this.toolRestGroup.add(slitGroup);
 
         this.latheGroup.add(this.toolRestGroup);
 
+        // Recorrido útil de la rendija: hasta los conectores laterales, descontando la hoja de la gubia
+        this.slitHalfWidth = rest.length / 2 - 0.1 - 0.03;
+
+        // 10. Gubia (visible en modo torneado), asoma por la rendija a la altura del eje
+        this.gouge = createGouge();
+        this.gouge.position.set(this.toolRestGroup.position.x, layout.axisY, 0.4);
+        this.gouge.visible = false;
+        this.gouge.userData.noExport = true;
+        this.latheGroup.add(this.gouge);
+
+        // 11. Vista explosionada: cada conjunto sale de su montaje y sus piezas se separan a lo largo de su eje
+        // (al reconstruir el torno se reutiliza la vista, ya vaciada)
+        if (!this.explodedView) this.explodedView = new ExplodedView(document.getElementById('explode-labels'));
+        this.explodedView.addAssembly(this.spindleGroup, {
+            label: 'Cabezal: eje, polea y punto de arrastre',
+            offset: [0, 1.3, 0],
+            parts: [
+                [this.spindlePulley, [-0.5, 0, 0]],
+                [chuck, [0.4, 0, 0]],
+                [driveCenter, [0.8, 0, 0]],
+                [this.workpiece, [1.3, 0, 0]],
+                [this.designGhost, [1.3, 0, 0]]
+            ],
+            anchor: new THREE.Vector3(0.9, 0.15, 0)
+        });
+        this.explodedView.addAssembly(this.motorGroup, {
+            label: 'Motor',
+            offset: [0, -0.3, -1.0],
+            parts: [
+                [motorShaft, [0.4, 0, 0]],
+                [this.motorPulley, [0.8, 0, 0]]
+            ],
+            anchor: new THREE.Vector3(0, 0.6, 0)
+        });
+        this.explodedView.addAssembly(this.belt, {
+            label: 'Correa de transmisión',
+            offset: [-1.2, 0, 0],
+            anchor: new THREE.Vector3(0, 1.45, 0.05)
+        });
+        this.explodedView.addAssembly(tsGroup, {
+            label: 'Contrapunto',
+            offset: [1.2, 0.6, 0],
+            parts: [
+                [liveCenter, [-0.8, 0, 0]],
+                [bearing, [-0.5, 0, 0]],
+                [bearingHousing, [0, 0.4, 0]],
+                [clampGroup, [0, 0, 0.6]],
+                [tsGuide, [0, -0.4, 0]]
+            ],
+            anchor: new THREE.Vector3(0, 1.5, 0)
+        });
+        this.explodedView.addAssembly(this.toolRestGroup, {
+            label: 'Apoyo de herramientas',
+            offset: [0, 0, 1.0],
+            parts: [[slitGroup, [0, 0.6, 0]]],
+            anchor: new THREE.Vector3(0, 1.6, -0.3)
+        });
+
         this.scene.add(this.latheGroup);
     }
 
@@ -501,24 +2235,20 @@ class App {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    updateHover() {
+        // Con una pieza seleccionada el recuadro queda fijo (ver selectPart)
+        if (this.selectedPart) return;
 
         // Raycasting
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObjects(this.latheGroup.children, true);
+        const intersects = this.intersectVisible(this.latheGroup.children);
 
         if (intersects.length > 0) {
-            let target = intersects[0].object;
-
-            // Bubble up to find a named parent if the hit object itself is unnamed
-            // or to treat the whole group as one logical unit
-            while (target && !target.name && target.parent) {
-                target = target.parent;
-            }
+            // Las mallas sin etiqueta propia pertenecen a la pieza de su grupo
+            const partId = findPartId(intersects[0].object);
 
-            if (target && target.name) {
-                this.partNameDisplay.innerText = target.name;
+            if (partId) {
+                this.partNameDisplay.innerText = partName(partId);
                 this.infoBox.style.opacity = '1';
                 this.infoBox.style.transform = 'translateX(0)';
             } else {
@@ -529,9 +2259,26 @@ class App {
             this.infoBox.style.opacity = '0';
             this.infoBox.style.transform = 'translateX(20px)';
         }
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+
+        // Limitado para que volver a una pestaña inactiva no produzca un salto
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        this.updateDrive(delta);
+        this.tailstockClamp.update(delta);
+        this.updateTurning();
+        if (this.sectionView.enabled) this.sectionView.update();
+
+        this.updateHover();
 
         this.controls.update();
         this.renderer.render(this.scene, this.camera);
+        this.measureTool.update(this.camera);
+        this.explodedView.update(delta);
+        this.followWorkpiece();
+        this.explodedView.updateLabels(this.camera);
     }
 }
 
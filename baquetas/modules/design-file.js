@@ -0,0 +1,150 @@
+/**
+ * Baquetas Ayaman - Design File Format
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { STICK_FIELDS, TIP_FIELDS, normalizeStick } from './stick.js';
+import { SPECIES } from './species.js';
+import { FINISHES, normalizeFinish } from './finishes.js';
+
+export const DESIGN_FORMAT = 'ayaman-baqueta';
+export const DESIGN_VERSION = 1;
+
+const STICK_KEYS = [...STICK_FIELDS, ...TIP_FIELDS].map(field => field.key);
+
+/**
+ * Error de lectura de un archivo de diseño, con un mensaje apto para mostrar al usuario.
+ */
+export class DesignFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DesignFileError';
+    }
+}
+
+/**
+ * Migraciones: cada entrada convierte un documento de la versión indicada a la siguiente.
+ * Vacío mientras la versión 1 sea la única publicada.
+ */
+const MIGRATIONS = {};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Documento JSON (texto) de un diseño { stick, species, finish, notes }.
+ */
+export function serializeDesign(design) {
+    const stick = normalizeStick(design.stick);
+    const doc = {
+        format: DESIGN_FORMAT,
+        version: DESIGN_VERSION,
+        savedAt: new Date().toISOString(),
+        design: {
+            stick: Object.fromEntries(STICK_KEYS.map(key => [key, stick[key]])),
+            species: design.species,
+            finish: normalizeFinish(design.finish),
+            notes: design.notes || ''
+        }
+    };
+    return JSON.stringify(doc, null, 2);
+}
+
+function validateDesign(design) {
+    if (!isObject(design)) throw new DesignFileError('Falta la sección "design" del archivo.');
+
+    if (!isObject(design.stick)) throw new DesignFileError('Faltan las dimensiones de la baqueta ("design.stick").');
+    [...STICK_FIELDS, ...TIP_FIELDS].forEach(field => {
+        if (!Object.hasOwn(design.stick, field.key)) return;
+        const value = design.stick[field.key];
+        if (field.options) {
+            if (!Object.hasOwn(field.options, value)) {
+                throw new DesignFileError(`"${field.label}" tiene un valor desconocido: "${value}".`);
+            }
+        } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new DesignFileError(`"${field.label}" debe ser un número (design.stick.${field.key}).`);
+        }
+    });
+
+    if (!Object.hasOwn(SPECIES, design.species)) {
+        throw new DesignFileError(`Madera desconocida: "${design.species}".`);
+    }
+
+    const finish = design.finish;
+    if (!isObject(finish) || !Object.hasOwn(FINISHES, finish.base)) {
+        throw new DesignFileError('El acabado general falta o no es válido ("design.finish.base").');
+    }
+    if (finish.zones !== undefined && !Array.isArray(finish.zones)) {
+        throw new DesignFileError('Las zonas de acabado deben ser una lista ("design.finish.zones").');
+    }
+    (finish.zones || []).forEach((zone, i) => {
+        if (!isObject(zone) || !Object.hasOwn(FINISHES, zone.finish)) {
+            throw new DesignFileError(`La zona de acabado ${i + 1} tiene un acabado desconocido.`);
+        }
+        if (!Number.isFinite(zone.from) || !Number.isFinite(zone.to) || zone.to < zone.from) {
+            throw new DesignFileError(`La zona de acabado ${i + 1} debe tener "from" ≤ "to" en mm.`);
+        }
+    });
+
+    if (design.notes !== undefined && typeof design.notes !== 'string') {
+        throw new DesignFileError('Las notas del cliente deben ser texto ("design.notes").');
+    }
+}
+
+/**
+ * Lee un documento de diseño (texto JSON), lo migra a la versión actual y lo valida.
+ * Devuelve { stick, species, finish, notes } normalizado o lanza DesignFileError.
+ */
+export function parseDesign(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch {
+        throw new DesignFileError('El archivo no es JSON válido.');
+    }
+
+    if (!isObject(doc) || doc.format !== DESIGN_FORMAT) {
+        throw new DesignFileError('El archivo no es un diseño de baqueta de Ayaman.');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new DesignFileError('El archivo no indica una versión de formato válida.');
+    }
+    if (doc.version > DESIGN_VERSION) {
+        throw new DesignFileError(
+            `El diseño usa el formato v${doc.version}, más nuevo que el que admite esta aplicación (v${DESIGN_VERSION}). ` +
+            'Actualiza la aplicación para abrirlo.'
+        );
+    }
+
+    while (doc.version < DESIGN_VERSION) {
+        doc = MIGRATIONS[doc.version](doc);
+    }
+
+    validateDesign(doc.design);
+
+    return {
+        stick: normalizeStick(doc.design.stick),
+        species: doc.design.species,
+        finish: normalizeFinish(doc.design.finish),
+        notes: doc.design.notes || ''
+    };
+}
+
+/**
+ * Nombre de archivo sugerido, p. ej. "baqueta-406mm-oval-hickory.json".
+ */
+export function designFilename(design) {
+    return `baqueta-${Math.round(design.stick.length)}mm-${design.stick.tipShape}-${design.species}.json`;
+}
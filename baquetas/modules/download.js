@@ -0,0 +1,35 @@
+/**
+ * Baquetas Ayaman - File Downloads
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Descarga datos generados en el navegador como un archivo.
+ */
+export function downloadFile(filename, data, mimeType) {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Se libera en el siguiente ciclo para no cortar la descarga en algunos navegadores
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
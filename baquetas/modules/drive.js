@@ -0,0 +1,109 @@
+/**
+ * Baquetas Ayaman - Drive Train (Motor, Pulleys and Belt)
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { formatLength } from './units.js';
+
+export const DRIVE_DEFAULTS = {
+    running: false,
+    motorRpm: 800,
+    step: 0
+};
+
+export const DRIVE_FIELDS = [
+    { key: 'motorRpm', label: 'Velocidad del motor', min: 0, max: 3450, step: 10, unit: 'rpm' }
+];
+
+const BELT_MARKS = 24; // Marcas visibles a lo largo de la correa
+
+export const rpmToRadiansPerSecond = (rpm) => (rpm * 2 * Math.PI) / 60;
+
+/**
+ * Velocidad del husillo a partir de la del motor: la correa transmite la misma
+ * velocidad lineal, así que las rpm se escalan por la relación de radios.
+ */
+export function spindleRpm(motorRpm, motorPulleyRadius, spindlePulleyRadius) {
+    return motorRpm * (motorPulleyRadius / spindlePulleyRadius);
+}
+
+/**
+ * Opciones del selector de escalón: diámetros motor → husillo y relación de cada par
+ * (`steps` es la lista de pulleySteps, del escalón más lento al más rápido).
+ */
+export function pulleyStepOptions(steps, unit = 'mm') {
+    return Object.fromEntries(steps.map(({ spindle, motor }, i) => [
+        i,
+        `${i + 1} · Ø ${formatLength(motor, unit, { symbol: false })} → Ø ${formatLength(spindle, unit)} (×${(motor / spindle).toFixed(2)})`
+    ]));
+}
+
+/**
+ * Longitud de una correa abierta sobre dos poleas de radios r1 y r2 separadas d.
+ */
+export function beltLength(r1, r2, d) {
+    const offset = Math.acos((r1 - r2) / d);
+    const span = Math.sqrt(d * d - (r1 - r2) ** 2);
+    return r1 * (2 * Math.PI - 2 * offset) + r2 * 2 * offset + 2 * span;
+}
+
+/**
+ * Reasigna las UV de la correa extruida: u recorre el contorno (ángulo alrededor de
+ * `center`, 0..1) para que una textura desplazada en u avance a lo largo de la correa.
+ * La geometría de ExtrudeGeometry no es indexada, así que cada triángulo se corrige
+ * por separado donde cruza la costura de ±180°.
+ */
+export function applyBeltUVs(geometry, center) {
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+
+    for (let i = 0; i < position.count; i += 3) {
+        const u = [0, 1, 2].map(k => {
+            const angle = Math.atan2(position.getY(i + k) - center.y, position.getX(i + k) - center.x);
+            return (angle + Math.PI) / (2 * Math.PI);
+        });
+
+        const seam = Math.max(...u) - Math.min(...u) > 0.5;
+        u.forEach((value, k) => {
+            uv.setXY(i + k, seam && value < 0.5 ? value + 1 : value, position.getZ(i + k));
+        });
+    }
+
+    uv.needsUpdate = true;
+}
+
+/**
+ * Textura procedural de la correa: marcas transversales que hacen visible su avance.
+ */
+export function createBeltTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 4;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#bbbbbb';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#555555';
+    ctx.fillRect(0, 0, 12, canvas.height);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(BELT_MARKS, 1);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
@@ -0,0 +1,125 @@
+/**
+ * Baquetas Ayaman - Exploded View
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+
+const DURATION = 1.2; // Segundos de la animación completa
+
+// Aceleración y frenado suaves
+const ease = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Vista explosionada: cada conjunto se separa de su montaje según un desplazamiento
+ * (en el espacio de su padre) y sus piezas, a su vez, se separan dentro del conjunto.
+ * Los desplazamientos se suman a la posición actual, de modo que las piezas que se
+ * mueven por otros motivos (p. ej. el contrapunto) conservan su posición al volver.
+ */
+export class ExplodedView {
+    constructor(labelContainer) {
+        this.labelContainer = labelContainer;
+        this.assemblies = [];
+        this.progress = 0;
+        this.target = 0;
+    }
+
+    /**
+     * `offset` separa el conjunto completo; `parts` es una lista de [objeto, desplazamiento].
+     * `anchor` es el punto local del conjunto donde se coloca el rótulo.
+     */
+    addAssembly(object, { label, offset, parts = [], anchor = new THREE.Vector3() }) {
+        const element = document.createElement('div');
+        element.className = 'explode-label';
+        element.textContent = label;
+        element.style.display = 'none';
+        this.labelContainer.appendChild(element);
+
+        this.assemblies.push({
+            label: element,
+            anchor,
+            moves: [[object, new THREE.Vector3(...offset)], ...parts.map(([part, v]) => [part, new THREE.Vector3(...v)])],
+            object
+        });
+    }
+
+    // Quita todos los conjuntos y sus rótulos (p. ej. antes de reconstruir el torno)
+    clear() {
+        this.assemblies.forEach(({ label }) => label.remove());
+        this.assemblies = [];
+        this.progress = 0;
+        this.target = 0;
+    }
+
+    /**
+     * Desplazamiento que la vista aplica ahora a `object` (en el espacio de su padre):
+     * restándolo se obtiene su posición de montaje aunque la vista esté abierta.
+     */
+    offsetOf(object, target = new THREE.Vector3()) {
+        target.set(0, 0, 0);
+        this.assemblies.forEach(({ moves }) => {
+            moves.forEach(([moved, offset]) => {
+                if (moved === object) target.add(offset);
+            });
+        });
+        return target.multiplyScalar(ease(this.progress));
+    }
+
+    get exploded() {
+        return this.target === 1;
+    }
+
+    toggle() {
+        this.target = this.exploded ? 0 : 1;
+    }
+
+    /**
+     * Avanza la animación. Devuelve true mientras haya movimiento.
+     */
+    update(delta) {
+        if (this.progress === this.target) return false;
+
+        const before = ease(this.progress);
+        const step = delta / DURATION;
+        this.progress = this.target > this.progress
+            ? Math.min(this.progress + step, this.target)
+            : Math.max(this.progress - step, this.target);
+        const change = ease(this.progress) - before;
+
+        this.assemblies.forEach(({ moves }) => {
+            moves.forEach(([object, offset]) => object.position.addScaledVector(offset, change));
+        });
+        return true;
+    }
+
+    // Rótulos proyectados sobre la pantalla, visibles mientras la vista está abierta
+    updateLabels(camera) {
+        const width = this.labelContainer.clientWidth;
+        const height = this.labelContainer.clientHeight;
+        const projected = new THREE.Vector3();
+        const opacity = ease(this.progress);
+
+        this.assemblies.forEach(({ object, anchor, label }) => {
+            object.localToWorld(projected.copy(anchor)).project(camera);
+            const visible = opacity > 0 && projected.z < 1;
+            label.style.display = visible ? 'block' : 'none';
+            if (!visible) return;
+            label.style.opacity = opacity;
+            label.style.left = `${(projected.x + 1) / 2 * width}px`;
+            label.style.top = `${(1 - projected.y) / 2 * height}px`;
+        });
+    }
+}
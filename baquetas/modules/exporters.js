@@ -0,0 +1,170 @@
+/**
+ * Baquetas Ayaman - Mesh Exporters (STL / OBJ)
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { findPartId, partName } from './parts.js';
+
+export const EXPORT_FORMATS = {
+    'stl-binary': { label: 'STL (binario)', extension: 'stl', mimeType: 'model/stl' },
+    'stl-ascii': { label: 'STL (ASCII)', extension: 'stl', mimeType: 'model/stl' },
+    obj: { label: 'OBJ', extension: 'obj', mimeType: 'model/obj' }
+};
+
+const isExportable = (object, root) => {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible || node.userData.noExport) return false;
+        if (node === root) return true;
+    }
+    return true;
+};
+
+// Nombre del registro de piezas; si no está etiquetada, el primer nombre de la jerarquía
+const exportName = (object) => {
+    const id = findPartId(object);
+    if (id) return partName(id);
+    for (let node = object; node; node = node.parent) {
+        if (node.name) return node.name;
+    }
+    return 'Pieza';
+};
+
+/**
+ * Reúne las mallas visibles bajo `root` como listas de triángulos, con los vértices
+ * expresados en el sistema de `root` y transformados después por `matrix`
+ * (p. ej. una escala para pasar de unidades de escena a milímetros).
+ */
+export function collectParts(root, matrix = new THREE.Matrix4()) {
+    const parts = [];
+    const rootInverse = new THREE.Matrix4();
+
+    root.updateWorldMatrix(true, true);
+    rootInverse.copy(root.matrixWorld).invert();
+
+    root.traverse(object => {
+        if (!object.isMesh || !object.geometry.attributes.position || !isExportable(object, root)) return;
+
+        const transform = new THREE.Matrix4().multiplyMatrices(matrix, rootInverse).multiply(object.matrixWorld);
+        const geometry = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry.clone();
+        geometry.applyMatrix4(transform);
+
+        // Una transformación con espejo invierte el sentido de las caras
+        if (transform.determinant() < 0) {
+            const position = geometry.attributes.position;
+            for (let i = 0; i < position.count; i += 3) {
+                const x = position.getX(i), y = position.getY(i), z = position.getZ(i);
+                position.setXYZ(i, position.getX(i + 1), position.getY(i + 1), position.getZ(i + 1));
+                position.setXYZ(i + 1, x, y, z);
+            }
+        }
+
+        parts.push({ name: exportName(object), positions: geometry.attributes.position.array });
+        geometry.dispose();
+    });
+
+    return parts;
+}
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+
+function forEachTriangle(parts, callback) {
+    parts.forEach(part => {
+        const p = part.positions;
+        for (let i = 0; i < p.length; i += 9) {
+            _a.fromArray(p, i);
+            _b.fromArray(p, i + 3);
+            _c.fromArray(p, i + 6);
+            THREE.Triangle.getNormal(_a, _b, _c, _normal);
+            callback(_a, _b, _c, _normal);
+        }
+    });
+}
+
+const countTriangles = (parts) => parts.reduce((sum, part) => sum + part.positions.length / 9, 0);
+
+export function toBinarySTL(parts) {
+    const triangles = countTriangles(parts);
+    const buffer = new ArrayBuffer(84 + triangles * 50);
+    const view = new DataView(buffer);
+
+    const header = 'Baquetas Ayaman - unidades: mm';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, triangles, true);
+
+    let offset = 84;
+    forEachTriangle(parts, (a, b, c, normal) => {
+        [normal, a, b, c].forEach(v => {
+            view.setFloat32(offset, v.x, true);
+            view.setFloat32(offset + 4, v.y, true);
+            view.setFloat32(offset + 8, v.z, true);
+            offset += 12;
+        });
+        view.setUint16(offset, 0, true);
+        offset += 2;
+    });
+
+    return buffer;
+}
+
+export function toAsciiSTL(parts, name = 'baquetas_ayaman') {
+    const f = (v) => `${v.x.toExponential(6)} ${v.y.toExponential(6)} ${v.z.toExponential(6)}`;
+    const lines = [`solid ${name}`];
+
+    forEachTriangle(parts, (a, b, c, normal) => {
+        lines.push(
+            `  facet normal ${f(normal)}`,
+            '    outer loop',
+            `      vertex ${f(a)}`,
+            `      vertex ${f(b)}`,
+            `      vertex ${f(c)}`,
+            '    endloop',
+            '  endfacet'
+        );
+    });
+
+    lines.push(`endsolid ${name}`);
+    return lines.join('\n') + '\n';
+}
+
+export function toOBJ(parts) {
+    const lines = ['# Baquetas Ayaman', '# Unidades: mm'];
+    let vertexOffset = 1;
+
+    parts.forEach(part => {
+        const p = part.positions;
+        lines.push(`o ${part.name}`);
+        for (let i = 0; i < p.length; i += 3) {
+            lines.push(`v ${+p[i].toFixed(4)} ${+p[i + 1].toFixed(4)} ${+p[i + 2].toFixed(4)}`);
+        }
+        for (let i = 0; i < p.length / 3; i += 3) {
+            const v = vertexOffset + i;
+            lines.push(`f ${v} ${v + 1} ${v + 2}`);
+        }
+        vertexOffset += p.length / 3;
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+export function exportParts(parts, format) {
+    if (format === 'stl-binary') return toBinarySTL(parts);
+    if (format === 'stl-ascii') return toAsciiSTL(parts);
+    return toOBJ(parts);
+}
@@ -0,0 +1,168 @@
+/**
+ * Baquetas Ayaman - Finish Zones Panel
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { FINISHES, FINISH_OPTIONS, DIPPED_GRIP } from './finishes.js';
+import { UNITS, toMm, roundLength } from './units.js';
+
+/**
+ * Editor del acabado: un acabado general y una lista de zonas a lo largo de la pieza.
+ * Cada cambio se reporta con onChange(finish) con las longitudes en milímetros.
+ */
+export class FinishPanel {
+    constructor(container, finish, onChange, lengthUnit = 'mm') {
+        this.container = container;
+        this.onChange = onChange;
+        this.lengthUnit = lengthUnit;
+        this.setFinish(finish);
+    }
+
+    setFinish(finish) {
+        this.finish = structuredClone(finish);
+        this.render();
+    }
+
+    setLengthUnit(unit) {
+        this.lengthUnit = unit;
+        this.render();
+    }
+
+    emit(rerender = false) {
+        this.onChange(structuredClone(this.finish));
+        if (rerender) this.render();
+    }
+
+    createSelect(value, onChange) {
+        const select = document.createElement('select');
+        Object.entries(FINISH_OPTIONS).forEach(([id, label]) => select.appendChild(new Option(label, id)));
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    createColor(value, onChange) {
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.value = value;
+        input.addEventListener('input', () => onChange(input.value));
+        return input;
+    }
+
+    createLength(value, onChange) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = this.lengthUnit === 'mm' ? 1 : Math.pow(10, -UNITS[this.lengthUnit].decimals);
+        input.value = roundLength(value, this.lengthUnit);
+        input.addEventListener('input', () => {
+            const number = parseFloat(input.value);
+            if (!Number.isNaN(number)) onChange(toMm(number, this.lengthUnit));
+        });
+        return input;
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        // Acabado general
+        const baseRow = document.createElement('label');
+        baseRow.className = 'param-row';
+        baseRow.innerHTML = '<span class="param-label">Acabado general</span>';
+        const baseControls = document.createElement('div');
+        baseControls.className = 'finish-controls';
+        baseControls.appendChild(this.createSelect(this.finish.base, (value) => {
+            this.finish.base = value;
+            this.finish.baseColor = FINISHES[value].defaultColor || this.finish.baseColor;
+            this.emit(true);
+        }));
+        if (FINISHES[this.finish.base].paint) {
+            baseControls.appendChild(this.createColor(this.finish.baseColor, (value) => {
+                this.finish.baseColor = value;
+                this.emit();
+            }));
+        }
+        baseRow.appendChild(baseControls);
+        this.container.appendChild(baseRow);
+
+        // Zonas (desde / hasta, medidas desde la culata)
+        this.finish.zones.forEach((zone, i) => {
+            const row = document.createElement('div');
+            row.className = 'finish-zone';
+
+            const controls = document.createElement('div');
+            controls.className = 'finish-controls';
+            controls.appendChild(this.createSelect(zone.finish, (value) => {
+                zone.finish = value;
+                zone.color = FINISHES[value].defaultColor || zone.color;
+                this.emit(true);
+            }));
+            if (FINISHES[zone.finish].paint) {
+                controls.appendChild(this.createColor(zone.color, (value) => {
+                    zone.color = value;
+                    this.emit();
+                }));
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'finish-remove';
+            remove.title = 'Quitar zona';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => {
+                this.finish.zones.splice(i, 1);
+                this.emit(true);
+            });
+            controls.appendChild(remove);
+
+            const range = document.createElement('div');
+            range.className = 'finish-controls';
+            const unit = document.createElement('span');
+            unit.className = 'param-unit';
+            unit.textContent = UNITS[this.lengthUnit].label;
+            range.append(
+                this.createLength(zone.from, (value) => { zone.from = value; this.emit(); }),
+                document.createTextNode('–'),
+                this.createLength(zone.to, (value) => { zone.to = value; this.emit(); }),
+                unit
+            );
+
+            row.append(controls, range);
+            this.container.appendChild(row);
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'button-row';
+
+        const add = document.createElement('button');
+        add.className = 'panel-button';
+        add.textContent = 'Añadir zona';
+        add.addEventListener('click', () => {
+            this.finish.zones.push({ finish: 'gloss', from: 0, to: 50, color: '#ffffff' });
+            this.emit(true);
+        });
+
+        const dip = document.createElement('button');
+        dip.className = 'panel-button';
+        dip.textContent = 'Empuñadura bañada';
+        dip.addEventListener('click', () => {
+            this.finish.zones.push({ ...DIPPED_GRIP });
+            this.emit(true);
+        });
+
+        buttons.append(add, dip);
+        this.container.appendChild(buttons);
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Baquetas Ayaman - Finishes and Lacquer Zones
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Acabados disponibles. Los valores se traducen a un MeshPhysicalMaterial: la laca es
+ * una capa de clearcoat sobre la madera, el aceite la oscurece (tint) sin brillo marcado,
+ * y los acabados con `paint` cubren la madera con un color opaco.
+ */
+export const FINISHES = {
+    raw: { label: 'Natural (sin acabado)', roughness: 0.85, clearcoat: 0, clearcoatRoughness: 0, tint: 0xffffff },
+    oiled: { label: 'Aceitado', roughness: 0.6, clearcoat: 0.2, clearcoatRoughness: 0.5, tint: 0xd6c2a6 },
+    satin: { label: 'Laca satinada', roughness: 0.55, clearcoat: 0.7, clearcoatRoughness: 0.4, tint: 0xf3ebe0 },
+    gloss: { label: 'Laca brillante', roughness: 0.45, clearcoat: 1, clearcoatRoughness: 0.03, tint: 0xefe4d4 },
+    painted: { label: 'Pintada', roughness: 0.4, clearcoat: 0.6, clearcoatRoughness: 0.2, paint: true, defaultColor: '#b71c1c' },
+    dipped: { label: 'Baño de goma (dip)', roughness: 0.95, clearcoat: 0, clearcoatRoughness: 0, paint: true, defaultColor: '#111111' }
+};
+
+export const FINISH_OPTIONS = Object.fromEntries(
+    Object.entries(FINISHES).map(([id, finish]) => [id, finish.label])
+);
+
+export const FINISH_DEFAULTS = { base: 'raw', zones: [] };
+
+// Zona típica de empuñadura bañada, desde la culata (mm)
+export const DIPPED_GRIP = { finish: 'dipped', from: 0, to: 130, color: FINISHES.dipped.defaultColor };
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+/**
+ * Acabado general más zonas a lo largo de la pieza ({ finish, from, to, color } en mm
+ * desde la culata). Si dos zonas se solapan, prevalece la última.
+ */
+export function normalizeFinish(finish = {}) {
+    const base = Object.hasOwn(FINISHES, finish.base) ? finish.base : FINISH_DEFAULTS.base;
+    const zones = (Array.isArray(finish.zones) ? finish.zones : [])
+        .filter(zone => zone && Object.hasOwn(FINISHES, zone.finish))
+        .map(zone => {
+            const from = Math.max(Number(zone.from) || 0, 0);
+            const to = Math.max(Number(zone.to) || 0, from);
+            const color = isColor(zone.color) ? zone.color : (FINISHES[zone.finish].defaultColor || '#ffffff');
+            return { finish: zone.finish, from, to, color };
+        });
+
+    return {
+        base,
+        baseColor: isColor(finish.baseColor) ? finish.baseColor : (FINISHES[base].defaultColor || '#ffffff'),
+        zones
+    };
+}
+
+export function createFinishMaterial(finishId, { grainMap = null, color = '#ffffff' } = {}) {
+    const finish = FINISHES[finishId];
+
+    return new THREE.MeshPhysicalMaterial({
+        map: finish.paint ? null : grainMap,
+        color: finish.paint ? new THREE.Color(color) : new THREE.Color(finish.tint),
+        roughness: finish.roughness,
+        clearcoat: finish.clearcoat,
+        clearcoatRoughness: finish.clearcoatRoughness
+    });
+}
+
+/**
+ * Lista de materiales: [acabado general, zona 1, zona 2, ...].
+ */
+export function createFinishMaterials(finish, grainMap) {
+    return [
+        createFinishMaterial(finish.base, { grainMap, color: finish.baseColor }),
+        ...finish.zones.map(zone => createFinishMaterial(zone.finish, { grainMap, color: zone.color }))
+    ];
+}
+
+/**
+ * Alturas (mm) donde el perfil necesita un punto para que los límites de zona sean nítidos.
+ */
+export const finishBreaks = (finish) => finish.zones.flatMap(zone => [zone.from, zone.to]);
+
+/**
+ * Reordena los triángulos de una geometría indexada de revolución (eje Y, en mm) en
+ * grupos por material según la zona en la que cae el centro de cada triángulo.
+ */
+export function applyFinishGroups(geometry, finish) {
+    const position = geometry.attributes.position;
+    const index = geometry.index.array;
+    const buckets = Array.from({ length: finish.zones.length + 1 }, () => []);
+
+    for (let i = 0; i < index.length; i += 3) {
+        const y = (position.getY(index[i]) + position.getY(index[i + 1]) + position.getY(index[i + 2])) / 3;
+        let material = 0;
+        finish.zones.forEach((zone, z) => {
+            if (y >= zone.from && y <= zone.to) material = z + 1;
+        });
+        buckets[material].push(index[i], index[i + 1], index[i + 2]);
+    }
+
+    geometry.setIndex(buckets.flat());
+    geometry.clearGroups();
+
+    let start = 0;
+    buckets.forEach((bucket, material) => {
+        if (bucket.length) geometry.addGroup(start, bucket.length, material);
+        start += bucket.length;
+    });
+
+    return geometry;
+}
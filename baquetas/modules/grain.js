@@ -0,0 +1,143 @@
+/**
+ * Baquetas Ayaman - Procedural Wood Grain
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { SPECIES } from './species.js';
+
+// La textura cubre la circunferencia completa (u) y un tramo de GRAIN_TILE mm del eje (v)
+export const GRAIN_TILE = 200;
+const TEXTURE_WIDTH = 256;
+const TEXTURE_HEIGHT = 512;
+
+const NOMINAL_RADIUS = 7;    // Radio típico de una baqueta (mm)
+const PITH_DISTANCE = 45;    // Distancia de la médula al eje de la pieza (mm)
+
+const textures = new Map();
+
+// Generador pseudoaleatorio determinista para que cada especie tenga siempre el mismo veteado
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const hash = (text) => [...text].reduce((h, c) => Math.imul(h ^ c.charCodeAt(0), 16777619), 2166136261);
+
+/**
+ * Ruido periódico en [-1, 1] construido con senos de frecuencias enteras,
+ * de modo que la textura repite sin costuras en ambas direcciones.
+ */
+function periodicNoise(random, octaves, uFreqMax, vFreqMax) {
+    const terms = Array.from({ length: octaves }, () => ({
+        fu: Math.floor(random() * (uFreqMax + 1)),
+        fv: Math.floor(random() * (vFreqMax + 1)),
+        phase: random() * Math.PI * 2,
+        amp: 0.5 + random() * 0.5
+    }));
+    const total = terms.reduce((sum, t) => sum + t.amp, 0);
+
+    return (u, v) => terms.reduce((sum, t) =>
+        sum + t.amp * Math.sin(2 * Math.PI * (t.fu * u + t.fv * v) + t.phase), 0) / total;
+}
+
+/**
+ * Dibuja el veteado de una especie sobre un lienzo. Los anillos de crecimiento se
+ * modelan como cilindros concéntricos alrededor de una médula alejada del eje: al
+ * tornear, la superficie los corta y aparecen como franjas y "catedrales" a lo largo
+ * de la pieza. Encima se añade la fibra longitudinal fina.
+ */
+function paintGrain(speciesId) {
+    const { color, grain } = SPECIES[speciesId];
+    const random = mulberry32(hash(speciesId));
+    const wobble = periodicNoise(random, 6, 3, 4);
+    const runout = periodicNoise(random, 3, 1, 2);
+    const fibres = periodicNoise(random, 12, 96, 2);
+
+    const base = new THREE.Color(color);
+    const ring = new THREE.Color(grain.ringColor);
+    const mixed = new THREE.Color();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_WIDTH;
+    canvas.height = TEXTURE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(TEXTURE_WIDTH, TEXTURE_HEIGHT);
+
+    for (let py = 0; py < TEXTURE_HEIGHT; py++) {
+        const v = py / TEXTURE_HEIGHT;
+        for (let px = 0; px < TEXTURE_WIDTH; px++) {
+            const u = px / TEXTURE_WIDTH;
+            const theta = u * Math.PI * 2;
+
+            // Distancia a la médula más la ondulación de los anillos y el desvío de la fibra
+            const x = PITH_DISTANCE + NOMINAL_RADIUS * Math.cos(theta);
+            const y = NOMINAL_RADIUS * Math.sin(theta);
+            const distance = Math.sqrt(x * x + y * y)
+                + grain.waviness * grain.ringSpacing * wobble(u, v)
+                + NOMINAL_RADIUS * 0.6 * runout(u, v);
+
+            // Madera temprana clara que oscurece hacia la tardía y corta en seco al siguiente anillo
+            const f = distance / grain.ringSpacing;
+            const latewood = Math.pow(f - Math.floor(f), 4) * grain.contrast;
+
+            mixed.copy(base).lerp(ring, latewood).multiplyScalar(1 + 0.08 * fibres(u, v));
+
+            const i = (py * TEXTURE_WIDTH + px) * 4;
+            image.data[i] = Math.min(255, mixed.r * 255);
+            image.data[i + 1] = Math.min(255, mixed.g * 255);
+            image.data[i + 2] = Math.min(255, mixed.b * 255);
+            image.data[i + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Textura de veteado de la especie (se genera una sola vez y se reutiliza).
+ */
+export function getGrainTexture(speciesId) {
+    if (!textures.has(speciesId)) {
+        const texture = new THREE.CanvasTexture(paintGrain(speciesId));
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        textures.set(speciesId, texture);
+    }
+    return textures.get(speciesId);
+}
+
+/**
+ * Reasigna la coordenada v de una geometría de revolución (eje Y, en mm) para que
+ * avance con la posición axial: así la fibra sigue la pieza sin estirarse con la longitud.
+ */
+export function applyAxialUVs(geometry, tileLength = GRAIN_TILE) {
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+
+    for (let i = 0; i < position.count; i++) {
+        uv.setY(i, position.getY(i) / tileLength);
+    }
+
+    uv.needsUpdate = true;
+    return geometry;
+}
@@ -0,0 +1,72 @@
+/**
+ * Baquetas Ayaman - Part Highlighting
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Resaltado por capas (p. ej. selección y paso del puntero por el esquema). Cada capa
+ * es una lista de mallas con un color emisivo; si una malla está en varias, gana la
+ * última capa definida. Se resaltan copias de los materiales porque los originales
+ * suelen compartirse entre muchas piezas.
+ */
+export class Highlighter {
+    constructor() {
+        this.layers = new Map();
+        this.applied = new Map();
+    }
+
+    set(layer, meshes, color) {
+        this.layers.delete(layer);
+        if (meshes.length) this.layers.set(layer, { meshes, color });
+        this.refresh();
+    }
+
+    clear(layer) {
+        this.set(layer, []);
+    }
+
+    // Vuelve a aplicar las capas, p. ej. después de que una pieza cambie de material
+    refresh() {
+        this.applied.forEach(({ original, copy }, mesh) => {
+            if (mesh.material === copy) {
+                mesh.material = original;
+            } else {
+                // La pieza cambió de material mientras estaba resaltada (p. ej. otro acabado)
+                [].concat(original).forEach(material => material.dispose());
+            }
+            [].concat(copy).forEach(material => material.dispose());
+        });
+        this.applied.clear();
+
+        const colors = new Map();
+        this.layers.forEach(({ meshes, color }) => meshes.forEach(mesh => colors.set(mesh, color)));
+
+        colors.forEach((color, mesh) => {
+            const highlight = (material) => {
+                const copy = material.clone();
+                if (copy.emissive) {
+                    copy.emissive.set(color);
+                    copy.emissiveIntensity = 0.35;
+                }
+                return copy;
+            };
+            const original = mesh.material;
+            const copy = Array.isArray(original) ? original.map(highlight) : highlight(original);
+            mesh.material = copy;
+            this.applied.set(mesh, { original, copy });
+        });
+    }
+}
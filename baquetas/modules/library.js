@@ -0,0 +1,103 @@
+/**
+ * Baquetas Ayaman - Local Design Library
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const DB_NAME = 'ayaman-baquetas';
+const DB_VERSION = 1;
+const STORE = 'designs';
+
+// Envuelve una IDBRequest en una promesa
+const promised = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Búsqueda sin distinguir mayúsculas ni acentos
+const searchable = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Biblioteca de diseños guardada en IndexedDB, local al navegador (funciona sin conexión).
+ * Cada entrada es { id, name, customer, date, document, thumbnail }, donde `document`
+ * es el JSON de design-file.js, así que las entradas antiguas se migran al abrirlas.
+ */
+export class DesignLibrary {
+    constructor() {
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('date', 'date');
+        };
+        this.db = await promised(request);
+        return this.db;
+    }
+
+    async store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(STORE, mode).objectStore(STORE);
+    }
+
+    /**
+     * Entradas ordenadas de la más reciente a la más antigua, filtradas por nombre o cliente.
+     */
+    async list(query = '') {
+        const entries = await promised((await this.store()).getAll());
+        const terms = searchable(query).split(/\s+/).filter(Boolean);
+
+        return entries
+            .filter(entry => {
+                const text = searchable(`${entry.name} ${entry.customer}`);
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    async get(id) {
+        return promised((await this.store()).get(id));
+    }
+
+    async add({ name, customer = '', document, thumbnail }) {
+        const entry = { name, customer, date: new Date().toISOString(), document, thumbnail };
+        return promised((await this.store('readwrite')).add(entry));
+    }
+
+    async rename(id, name) {
+        const entry = await this.get(id);
+        if (!entry) return;
+        entry.name = name;
+        await promised((await this.store('readwrite')).put(entry));
+    }
+
+    async duplicate(id) {
+        const entry = await this.get(id);
+        if (!entry) return null;
+        return this.add({ ...entry, name: `${entry.name} (copia)` });
+    }
+
+    async remove(id) {
+        await promised((await this.store('readwrite')).delete(id));
+    }
+}
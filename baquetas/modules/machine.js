@@ -0,0 +1,202 @@
+/**
+ * Baquetas Ayaman - Machine Specification
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { sceneToMm, mmToScene, formatLength } from './units.js';
+
+const STORAGE_KEY = 'ayaman-baquetas:machine';
+
+// Especificación del torno en milímetros; el modelo 3D se construye a partir de ella
+export const MACHINE_DEFAULTS = {
+    bedLength: 950,
+    centerHeight: 80,     // Del eje a la cara superior de la bancada
+    swing: 150,           // Diámetro máximo que gira sobre la bancada
+    spindlePulley: 80,    // Escalón mayor de la polea del cabezal (Ø)
+    motorPulley: 40,      // Escalón menor de la polea del motor (Ø)
+    pulleySteps: 3,       // Escalones de cada polea
+    pulleyStepDrop: 20,   // Diferencia de diámetro entre escalones
+    motorHeight: -80,     // Eje del motor respecto al centro de las vigas (negativo: bajo la mesa)
+    motorDepth: 150,      // Distancia del eje del motor al eje del husillo, hacia atrás
+    toolRestLength: 500,
+    toolRestDepth: 130
+};
+
+export const MACHINE_FIELDS = [
+    { key: 'bedLength', label: 'Longitud de la bancada', min: 600, max: 1400, step: 10, unit: 'mm' },
+    { key: 'centerHeight', label: 'Altura de puntas', min: 50, max: 200, step: 1, unit: 'mm' },
+    { key: 'swing', label: 'Volteo sobre la bancada', min: 50, max: 400, step: 1, unit: 'mm' },
+    { key: 'spindlePulley', label: 'Polea del cabezal (Ø mayor)', min: 40, max: 200, step: 1, unit: 'mm' },
+    { key: 'motorPulley', label: 'Polea del motor (Ø menor)', min: 20, max: 150, step: 1, unit: 'mm' },
+    { key: 'pulleySteps', label: 'Escalones de las poleas', min: 1, max: 5, step: 1 },
+    { key: 'pulleyStepDrop', label: 'Diferencia entre escalones (Ø)', min: 5, max: 40, step: 1, unit: 'mm' },
+    { key: 'motorHeight', label: 'Altura del motor', min: -200, max: 100, step: 1, unit: 'mm' },
+    { key: 'motorDepth', label: 'Distancia del motor', min: 50, max: 300, step: 1, unit: 'mm' },
+    { key: 'toolRestLength', label: 'Largo del apoyo', min: 200, max: 800, step: 10, unit: 'mm' },
+    { key: 'toolRestDepth', label: 'Fondo del apoyo', min: 80, max: 200, step: 1, unit: 'mm' }
+];
+
+// Medidas fijas de las piezas que no se configuran (unidades de escena)
+const BED_START = -4.0;          // Extremo de las vigas bajo el cabezal
+const BED_HALF_HEIGHT = 0.2;     // Las vigas tienen 40 mm de canto, centradas en y = 0
+const BASE_TOP = -0.205;         // Caras de la base de vidrio
+const BASE_BOTTOM = -0.305;
+const HEADSTOCK_HALF_DEPTH = 0.6;
+const CHUCK_RADIUS = 0.5;
+const MOTOR_RADIUS = 0.5;
+const TOOL_REST_START = -1.625;  // Extremo del apoyo junto al punto de arrastre
+const TOOL_REST_Z = 0.9;         // Separación del apoyo respecto al eje, hacia el tornero
+const SLED_HALF_LENGTH = 0.6;    // Media suela del contrapunto
+const HANDLE_CLEARANCE = 0.125;  // La manija del contrapunto no puede pasar sobre el apoyo en T
+const PULLEY_GAP = 0.1;          // Holgura mínima entre poleas
+const PULLEY_STEP_WIDTH = 0.2;   // Ancho de cada escalón, a lo largo del eje
+const MIN_PULLEY = 20;           // Diámetro mínimo de un escalón (mm)
+
+/**
+ * Pares de escalones (diámetros en mm) que puede unir la correa. Las poleas son conos
+ * escalonados enfrentados: el escalón 0 une el mayor del cabezal con el menor del motor
+ * (la velocidad más baja) y cada escalón siguiente cambia ambos diámetros en sentidos
+ * opuestos, de modo que la misma correa sirve para todos.
+ */
+export function pulleySteps(spec) {
+    const count = Math.max(1, Math.round(spec.pulleySteps));
+    return Array.from({ length: count }, (_, i) => ({
+        spindle: spec.spindlePulley - i * spec.pulleyStepDrop,
+        motor: spec.motorPulley + i * spec.pulleyStepDrop
+    }));
+}
+
+/**
+ * Traduce la especificación a posiciones y medidas de escena para createLathe().
+ */
+export function machineLayout(spec) {
+    const bedLength = mmToScene(spec.bedLength);
+    const axisY = BED_HALF_HEIGHT + mmToScene(spec.centerHeight);
+    const toolRestLength = mmToScene(spec.toolRestLength);
+    const toolRestDepth = mmToScene(spec.toolRestDepth);
+    const toolRestEnd = TOOL_REST_START + toolRestLength;
+
+    return {
+        bedStart: BED_START,
+        bedEnd: BED_START + bedLength,
+        bedLength,
+        axisY,
+        spindleX: BED_START + 0.75,
+        // Radios de cada par de escalones; el escalón i está i anchos más afuera que el 0
+        pulleys: pulleySteps(spec).map(({ spindle, motor }) => ({
+            spindleRadius: mmToScene(spindle) / 2,
+            motorRadius: mmToScene(motor) / 2
+        })),
+        pulleyStepWidth: PULLEY_STEP_WIDTH,
+        motorY: mmToScene(spec.motorHeight),
+        motorZ: -mmToScene(spec.motorDepth),
+        toolRest: {
+            x: TOOL_REST_START + toolRestLength / 2,
+            y: axisY - 1.2,  // La rendija queda centrada en la altura del eje
+            z: TOOL_REST_Z,
+            length: toolRestLength,
+            depth: toolRestDepth
+        },
+        // La base de vidrio cubre la bancada, el apoyo por delante y el motor por detrás
+        base: {
+            front: TOOL_REST_Z - 0.35 + toolRestDepth,
+            back: -mmToScene(spec.motorDepth) - MOTOR_RADIUS - 0.15,
+            top: BASE_TOP
+        },
+        tailstockTravel: {
+            min: toolRestEnd - HANDLE_CLEARANCE,
+            max: BED_START + bedLength - SLED_HALF_LENGTH
+        }
+    };
+}
+
+/**
+ * Combinaciones que no se pueden construir. Devuelve los problemas encontrados
+ * (vacío si la especificación es válida).
+ */
+export function validateMachine(spec, unit = 'mm') {
+    const errors = [];
+    const layout = machineLayout(spec);
+    const centerHeight = mmToScene(spec.centerHeight);
+
+    if (spec.centerHeight <= 0) {
+        errors.push('La altura de puntas queda por debajo de la bancada.');
+    } else if (centerHeight < CHUCK_RADIUS) {
+        errors.push(`El plato no cabe sobre la bancada: la altura de puntas debe ser de al menos ${formatLength(sceneToMm(CHUCK_RADIUS), unit)}.`);
+    }
+    if (spec.swing <= 0) {
+        errors.push('El volteo debe ser mayor que cero.');
+    } else if (spec.swing > spec.centerHeight * 2) {
+        errors.push('El volteo no puede superar el doble de la altura de puntas: la pieza chocaría con la bancada.');
+    }
+
+    const diameters = pulleySteps(spec).flatMap(({ spindle, motor }) => [spindle, motor]);
+    if (Math.min(...diameters) < MIN_PULLEY) {
+        errors.push(`Los escalones no caben: el menor quedaría por debajo de Ø ${formatLength(MIN_PULLEY, unit)}.`);
+    }
+
+    const distance = Math.hypot(layout.motorZ, layout.motorY - layout.axisY);
+    const largest = Math.max(...layout.pulleys.map(p => p.spindleRadius)) + Math.max(...layout.pulleys.map(p => p.motorRadius));
+    if (distance < largest + PULLEY_GAP) {
+        errors.push('Las poleas se tocan: aleja el motor o reduce sus diámetros.');
+    }
+
+    // El motor debe quedar bajo la mesa o por detrás del cabezal y la bancada
+    const belowTable = layout.motorY + MOTOR_RADIUS <= BASE_BOTTOM;
+    const behindHeadstock = -layout.motorZ - MOTOR_RADIUS >= HEADSTOCK_HALF_DEPTH;
+    if (!belowTable && !behindHeadstock) {
+        errors.push('El motor choca con la bancada o el cabezal: bájalo o aléjalo.');
+    }
+
+    if (layout.tailstockTravel.min > layout.tailstockTravel.max) {
+        errors.push('La bancada es demasiado corta: el contrapunto no cabe junto al apoyo de herramientas.');
+    }
+
+    return errors;
+}
+
+/**
+ * Completa una especificación con los valores de fábrica. No recorta a los rangos de
+ * MACHINE_FIELDS: las combinaciones imposibles las detecta validateMachine().
+ */
+export function normalizeMachine(spec) {
+    return Object.fromEntries(Object.entries(MACHINE_DEFAULTS).map(([key, fallback]) => {
+        const value = Number((spec || {})[key]);
+        return [key, Number.isFinite(value) ? value : fallback];
+    }));
+}
+
+/**
+ * Torno guardado en este navegador; el de fábrica si no hay ninguno o no es válido.
+ */
+export function loadMachine(storage = window.localStorage) {
+    try {
+        const spec = normalizeMachine(JSON.parse(storage.getItem(STORAGE_KEY) || 'null'));
+        return validateMachine(spec).length ? { ...MACHINE_DEFAULTS } : spec;
+    } catch {
+        return { ...MACHINE_DEFAULTS };
+    }
+}
+
+// Devuelve false si el navegador no deja guardar (cuota llena, navegación privada)
+export function saveMachine(spec, storage = window.localStorage) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(spec));
+        return true;
+    } catch {
+        return false;
+    }
+}
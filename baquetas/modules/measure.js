@@ -0,0 +1,161 @@
+/**
+ * Baquetas Ayaman - Measurement Tool
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { sceneToMm, formatLength } from './units.js';
+
+const MARKER_RADIUS = 0.015;
+
+/**
+ * Cotas dibujadas sobre la escena: distancias entre dos puntos y diámetros en una
+ * estación de la pieza. Las líneas se dibujan siempre encima (sin prueba de
+ * profundidad) y los rótulos son elementos HTML proyectados en cada cuadro.
+ */
+export class MeasureTool {
+    constructor(scene, labelContainer) {
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        this.labelContainer = labelContainer;
+        this.measurements = [];
+        this.pending = null;
+        this.unit = 'mm';
+
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: 0x00f2ff, depthTest: false, transparent: true });
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0x00f2ff, depthTest: false, transparent: true });
+        this.markerGeometry = new THREE.SphereGeometry(MARKER_RADIUS, 12, 8);
+    }
+
+    createMarker(point) {
+        const marker = new THREE.Mesh(this.markerGeometry, this.markerMaterial);
+        marker.position.copy(point);
+        marker.renderOrder = 999;
+        this.group.add(marker);
+        return marker;
+    }
+
+    createLine(a, b) {
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([a, b]), this.lineMaterial);
+        line.renderOrder = 999;
+        this.group.add(line);
+        return line;
+    }
+
+    createLabel() {
+        const label = document.createElement('div');
+        label.className = 'measure-label';
+        this.labelContainer.appendChild(label);
+        return label;
+    }
+
+    /**
+     * Primer clic: fija el punto inicial. Segundo clic: completa la cota y la devuelve.
+     */
+    addPoint(point) {
+        if (!this.pending) {
+            this.pending = { point: point.clone(), marker: this.createMarker(point) };
+            return null;
+        }
+
+        const start = this.pending.point;
+        const measurement = {
+            kind: 'distance',
+            value: sceneToMm(start.distanceTo(point)),
+            anchor: start.clone().lerp(point, 0.5),
+            objects: [this.pending.marker, this.createMarker(point), this.createLine(start, point)],
+            label: this.createLabel()
+        };
+        this.pending = null;
+
+        return this.push(measurement);
+    }
+
+    /**
+     * Cota de diámetro perpendicular al eje: `axisPoint` es el centro de la estación
+     * (escena), `radius` el radio en unidades de escena y `station` la posición en mm.
+     */
+    addDiameter(axisPoint, radius, station) {
+        const top = axisPoint.clone().add(new THREE.Vector3(0, radius, 0));
+        const bottom = axisPoint.clone().add(new THREE.Vector3(0, -radius, 0));
+
+        return this.push({
+            kind: 'diameter',
+            value: sceneToMm(radius * 2),
+            station,
+            anchor: top.clone().add(new THREE.Vector3(0, 0.05, 0)),
+            objects: [this.createMarker(top), this.createMarker(bottom), this.createLine(top, bottom)],
+            label: this.createLabel()
+        });
+    }
+
+    push(measurement) {
+        this.measurements.push(measurement);
+        this.renderLabel(measurement);
+        return measurement;
+    }
+
+    describe(measurement) {
+        if (measurement.kind === 'diameter') {
+            return `Ø ${formatLength(measurement.value, this.unit)} · estación ${formatLength(measurement.station, this.unit)}`;
+        }
+        return formatLength(measurement.value, this.unit);
+    }
+
+    renderLabel(measurement) {
+        measurement.label.textContent = this.describe(measurement);
+    }
+
+    setUnit(unit) {
+        this.unit = unit;
+        this.measurements.forEach(m => this.renderLabel(m));
+    }
+
+    cancelPending() {
+        if (!this.pending) return;
+        this.group.remove(this.pending.marker);
+        this.pending = null;
+    }
+
+    clear() {
+        this.cancelPending();
+        this.measurements.forEach(m => {
+            m.objects.forEach(object => {
+                this.group.remove(object);
+                if (object.isLine) object.geometry.dispose();
+            });
+            m.label.remove();
+        });
+        this.measurements = [];
+    }
+
+    // Proyecta los rótulos sobre la pantalla; se ocultan si quedan detrás de la cámara
+    update(camera) {
+        const width = this.labelContainer.clientWidth;
+        const height = this.labelContainer.clientHeight;
+        const projected = new THREE.Vector3();
+
+        this.measurements.forEach(m => {
+            projected.copy(m.anchor).project(camera);
+            const visible = projected.z < 1;
+            m.label.style.display = visible ? 'block' : 'none';
+            if (!visible) return;
+            m.label.style.left = `${(projected.x + 1) / 2 * width}px`;
+            m.label.style.top = `${(1 - projected.y) / 2 * height}px`;
+        });
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Baquetas Ayaman - Pair Matching
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { buildStickProfile, buildTipCapProfile, stickMassProperties } from './stick.js';
+import { radiusAt } from './profile.js';
+import { SPECIES } from './species.js';
+
+export const PAIR_DEFAULTS = {
+    layout: 'side',        // 'side' (lado a lado) u 'overlay' (superpuestas)
+    tolerance: 0.2,        // Diferencia de diámetro admisible (mm)
+    stationStep: 10        // Separación entre estaciones comparadas (mm)
+};
+
+export const PAIR_LAYOUTS = {
+    side: 'Lado a lado',
+    overlay: 'Superpuestas'
+};
+
+// Radio exterior de la baqueta en cada altura: sobre la espiga manda la oliva postiza
+function outerRadius(stick) {
+    const wood = buildStickProfile(stick);
+    const cap = buildTipCapProfile(stick);
+    return (y) => Math.max(radiusAt(wood, y), cap ? radiusAt(cap, y) : 0);
+}
+
+/**
+ * Compara dos diseños ({ stick, species }) estación por estación desde la culata.
+ * Devuelve las diferencias de diámetro (B - A), de peso y de punto de equilibrio,
+ * marcando las estaciones cuya diferencia supera la tolerancia.
+ */
+export function comparePair(a, b, { tolerance = PAIR_DEFAULTS.tolerance, stationStep = PAIR_DEFAULTS.stationStep } = {}) {
+    const radiusA = outerRadius(a.stick);
+    const radiusB = outerRadius(b.stick);
+    const length = Math.max(a.stick.length, b.stick.length);
+
+    const stations = [];
+    for (let position = 0; position <= length; position += stationStep) {
+        const diameterA = radiusA(position) * 2;
+        const diameterB = radiusB(position) * 2;
+        const difference = diameterB - diameterA;
+        stations.push({ position, diameterA, diameterB, difference, outOfTolerance: Math.abs(difference) > tolerance });
+    }
+
+    const massA = stickMassProperties(a.stick, SPECIES[a.species].density);
+    const massB = stickMassProperties(b.stick, SPECIES[b.species].density);
+
+    return {
+        stations,
+        outOfTolerance: stations.filter(s => s.outOfTolerance),
+        maxDifference: Math.max(...stations.map(s => Math.abs(s.difference))),
+        lengthDifference: b.stick.length - a.stick.length,
+        massA: massA.mass,
+        massB: massB.mass,
+        massDifference: massB.mass - massA.mass,
+        balanceA: massA.balance,
+        balanceB: massB.balance,
+        balanceDifference: massB.balance - massA.balance
+    };
+}
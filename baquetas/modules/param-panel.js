@@ -0,0 +1,130 @@
+/**
+ * Baquetas Ayaman - Parameter Panel
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { UNITS, toMm, roundLength } from './units.js';
+
+/**
+ * Construye controles (deslizador + número, o selector) a partir de una lista de campos
+ * y avisa con onChange(key, value) cada vez que el usuario modifica uno.
+ * Los campos con `unit: 'mm'` son longitudes: se muestran en la unidad elegida
+ * con setLengthUnit() pero siempre se reportan en milímetros.
+ */
+export class ParamPanel {
+    constructor(container, fields, values, onChange, lengthUnit = 'mm') {
+        this.container = container;
+        this.fields = fields;
+        this.onChange = onChange;
+        this.lengthUnit = lengthUnit;
+        this.render(values);
+    }
+
+    render(values) {
+        this.inputs = {};
+        this.container.innerHTML = '';
+        this.fields.forEach(field => this.container.appendChild(this.createRow(field)));
+        this.setValues(values);
+    }
+
+    setLengthUnit(unit, values) {
+        this.lengthUnit = unit;
+        this.render(values);
+    }
+
+    // Cambia la lista de campos (p. ej. opciones que dependen de otra configuración)
+    setFields(fields, values) {
+        this.fields = fields;
+        this.render(values);
+    }
+
+    toDisplay(field, value) {
+        return field.unit === 'mm' ? roundLength(value, this.lengthUnit) : value;
+    }
+
+    fromDisplay(field, value) {
+        return field.unit === 'mm' ? toMm(value, this.lengthUnit) : value;
+    }
+
+    createRow(field) {
+        const row = document.createElement('label');
+        row.className = 'param-row';
+
+        const title = document.createElement('span');
+        title.className = 'param-label';
+        title.textContent = field.label;
+        row.appendChild(title);
+
+        if (field.options) {
+            const select = document.createElement('select');
+            Object.entries(field.options).forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.onChange(field.key, select.value));
+            row.appendChild(select);
+            this.inputs[field.key] = [select];
+            return row;
+        }
+
+        const controls = document.createElement('div');
+        controls.className = 'param-controls';
+
+        const range = document.createElement('input');
+        range.type = 'range';
+        const number = document.createElement('input');
+        number.type = 'number';
+
+        [range, number].forEach(input => {
+            input.min = this.toDisplay(field, field.min);
+            input.max = this.toDisplay(field, field.max);
+            input.step = field.unit === 'mm' && this.lengthUnit !== 'mm'
+                ? Math.pow(10, -UNITS[this.lengthUnit].decimals)
+                : field.step;
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                if (Number.isNaN(value)) return;
+                (input === range ? number : range).value = input.value;
+                this.onChange(field.key, this.fromDisplay(field, value));
+            });
+        });
+
+        controls.append(range, number);
+        if (field.unit) {
+            const unit = document.createElement('span');
+            unit.className = 'param-unit';
+            unit.textContent = field.unit === 'mm' ? UNITS[this.lengthUnit].label : field.unit;
+            controls.appendChild(unit);
+        }
+
+        row.appendChild(controls);
+        this.inputs[field.key] = [range, number];
+        return row;
+    }
+
+    // Refleja valores externos (p. ej. ya normalizados) sin disparar onChange
+    setValues(values) {
+        this.fields.forEach(field => {
+            if (!(field.key in values)) return;
+            const value = field.options ? values[field.key] : this.toDisplay(field, values[field.key]);
+            this.inputs[field.key].forEach(input => {
+                if (document.activeElement !== input) input.value = value;
+            });
+        });
+    }
+}
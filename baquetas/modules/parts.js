@@ -0,0 +1,371 @@
+/**
+ * Baquetas Ayaman - Parts Registry
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { UNITS, sceneToMm, formatLength } from './units.js';
+import { SPECIES } from './species.js';
+import { FINISHES } from './finishes.js';
+import { machineLayout, pulleySteps } from './machine.js';
+
+// Idioma de los nombres que se muestran y se asignan a las mallas
+export const PART_LOCALE = 'es';
+
+export const ASSEMBLIES = {
+    bed: { es: 'Bancada', en: 'Bed' },
+    headstock: { es: 'Cabezal', en: 'Headstock' },
+    tailstock: { es: 'Contrapunto', en: 'Tailstock' },
+    drive: { es: 'Transmisión', en: 'Drive' },
+    toolRest: { es: 'Apoyo de herramientas', en: 'Tool rest' },
+    workpiece: { es: 'Pieza', en: 'Workpiece' },
+    tool: { es: 'Herramientas', en: 'Tools' }
+};
+
+export const PART_DETAIL_FIELDS = {
+    description: 'Descripción',
+    function: 'Función',
+    material: 'Material',
+    specs: 'Especificaciones',
+    maintenance: 'Mantenimiento'
+};
+
+// Medidas "a × b × c" en la unidad elegida, con el símbolo una sola vez al final
+const bare = (mm, unit) => formatLength(mm, unit, { symbol: false });
+const size = (unit, ...mm) => `${mm.map(value => bare(value, unit)).join(' × ')} ${UNITS[unit].label}`;
+
+const BED = {
+    description: 'Viga longitudinal de acero sobre la que se apoyan el cabezal, el contrapunto y el apoyo de herramientas.',
+    function: 'Mantiene alineados los puntos del torno y absorbe las vibraciones del corte.',
+    material: 'Acero estructural rectificado',
+    specs: ({ machine, unit }) => size(unit, machine.bedLength, 40, 40),
+    maintenance: 'Limpiar la viruta tras cada uso y aplicar una capa fina de cera para que el contrapunto deslice sin óxido.'
+};
+
+const SLIT = {
+    description: 'Guía con una rendija horizontal a la altura del eje por la que asoma la gubia.',
+    function: 'Sujeta la herramienta a altura constante y limita su recorrido a lo largo de la pieza.',
+    material: 'Acero pulido',
+    specs: ({ machine, unit }) => `${formatLength(machine.toolRestLength, unit)} de largo, rendija de ${formatLength(15, unit)}`,
+    maintenance: 'Quitar la viruta de la rendija y revisar que los cantos no tengan rebabas que marquen la hoja.'
+};
+
+const CLAMP_HANDLE = {
+    description: 'Manija en cruz del tornillo de fijación del contrapunto.',
+    function: 'Al girarla aprieta o libera el contrapunto sobre la bancada.',
+    material: 'Acero cromado',
+    specs: ({ unit }) => `Cruz de ${formatLength(30, unit)}, brazos de Ø ${formatLength(6, unit)}`,
+    maintenance: 'No forzar con herramientas; si cuesta girar, limpiar y lubricar la rosca del tornillo.'
+};
+
+const BRACE = {
+    description: 'Escuadra triangular soldada a los lados del contrapunto.',
+    function: 'Rigidiza el alojamiento del rodamiento frente al empuje axial de la pieza.',
+    material: 'Chapa de acero',
+    specs: ({ unit }) => `${size(unit, 50, 45)}, ${formatLength(10, unit)} de espesor`,
+    maintenance: 'Revisar periódicamente que las soldaduras no presenten fisuras.'
+};
+
+const GOUGE = {
+    assembly: 'tool',
+    description: 'Gubia de desbaste que se apoya en la rendija para tornear la pieza.',
+    function: 'Arranca la madera sobrante hasta llegar al perfil del diseño.',
+    maintenance: 'Afilar con frecuencia; una gubia sin filo arranca fibras en lugar de cortarlas.'
+};
+
+/**
+ * Registro de piezas: la única fuente de nombres y fichas técnicas. La geometría
+ * se etiqueta con tagPart(malla, id) y el recuadro, la lista de piezas y las
+ * exportaciones leen de aquí. Un campo puede ser una función del contexto
+ * { stick, species, finish, machine, unit } para piezas que dependen del diseño o
+ * del torno en curso; las medidas se muestran en la unidad elegida.
+ */
+export const PARTS = {
+    bedBeam1: { name: { es: 'Bancada (Viga 1)', en: 'Bed (beam 1)' }, assembly: 'bed', ...BED },
+    bedBeam2: { name: { es: 'Bancada (Viga 2)', en: 'Bed (beam 2)' }, assembly: 'bed', ...BED },
+    bedBase: {
+        name: { es: 'Base de la Bancada', en: 'Bed base plate' },
+        assembly: 'bed',
+        description: 'Placa de apoyo sobre la que se atornillan la bancada y el motor.',
+        function: 'Reparte el peso del torno y lo fija al banco de trabajo.',
+        material: 'Policarbonato translúcido',
+        specs: ({ machine, unit }) => {
+            const { base } = machineLayout(machine);
+            return size(unit, machine.bedLength, Math.round(sceneToMm(base.front - base.back)), 10);
+        },
+        maintenance: 'Comprobar el apriete de los tornillos de anclaje cada mes.'
+    },
+    headstockBase: {
+        name: { es: 'Base del Cabezal', en: 'Headstock body' },
+        assembly: 'headstock',
+        description: 'Cuerpo fijo del cabezal que aloja los rodamientos del eje principal.',
+        function: 'Soporta el eje y transmite el esfuerzo del corte a la bancada.',
+        material: 'Fundición de hierro',
+        specs: ({ machine, unit }) => size(unit, 150, machine.centerHeight + 70, 120),
+        maintenance: 'Mantener libres de polvo las rejillas y revisar el juego axial del eje.'
+    },
+    spindleShaft: {
+        name: { es: 'Eje del Cabezal', en: 'Headstock spindle' },
+        assembly: 'headstock',
+        description: 'Eje principal (husillo) que gira accionado por la correa.',
+        function: 'Transmite el giro de la polea al mandril y al punto de arrastre.',
+        material: 'Acero templado',
+        specs: ({ unit }) => `Ø ${size(unit, 20, 250)}`,
+        maintenance: 'Engrasar los rodamientos según el manual y vigilar ruidos o calentamiento.'
+    },
+    spindlePulley: {
+        name: { es: 'Polea del Cabezal', en: 'Headstock pulley' },
+        assembly: 'drive',
+        description: 'Polea conducida montada en el extremo del eje del cabezal.',
+        function: 'Recibe el giro de la correa; su diámetro frente al de la polea del motor fija la velocidad.',
+        material: 'Aluminio',
+        specs: ({ machine, unit }) => `Escalones Ø ${pulleySteps(machine).map(step => bare(step.spindle, unit)).join(' / ')} × ${formatLength(20, unit)}`,
+        maintenance: 'Limpiar la garganta de restos de goma y comprobar el prisionero.'
+    },
+    chuck: {
+        name: { es: 'Mandril / Plato', en: 'Chuck / faceplate' },
+        assembly: 'headstock',
+        description: 'Plato hexagonal roscado en la nariz del eje.',
+        function: 'Sirve de asiento al punto de arrastre y permite montar otros accesorios.',
+        material: 'Acero',
+        specs: ({ unit }) => `Ø ${size(unit, 100, 50)}`,
+        maintenance: 'Limpiar la rosca antes de montarlo para que asiente sin descentrarse.'
+    },
+    driveCenterBase: {
+        name: { es: 'Base del Punto de Arrastre', en: 'Drive center body' },
+        assembly: 'headstock',
+        description: 'Cuerpo cilíndrico del punto de arrastre, encajado en el plato.',
+        function: 'Centra la punta y lleva las uñas que arrastran la madera.',
+        material: 'Acero',
+        specs: ({ unit }) => `Ø ${size(unit, 40, 20)}`,
+        maintenance: 'Retirar la resina acumulada con disolvente.'
+    },
+    driveCenterPoint: {
+        name: { es: 'Punto de Arrastre (Punta)', en: 'Drive center (point)' },
+        assembly: 'headstock',
+        description: 'Punta cónica del cabezal que se clava en el centro de la culata.',
+        function: 'Centra la pieza en el eje y le transmite el giro.',
+        material: 'Acero templado',
+        specs: ({ unit }) => `Cono Ø ${size(unit, 24, 30)}`,
+        maintenance: 'Afilar si pierde el vértice; una punta roma hace patinar la pieza.'
+    },
+    tailstockSled: {
+        name: { es: 'Suela Deslizable del Contrapunto', en: 'Tailstock sliding base' },
+        assembly: 'tailstock',
+        description: 'Base del contrapunto que desliza sobre la bancada.',
+        function: 'Permite acercar el contrapunto a la pieza según su longitud.',
+        material: 'Fundición de hierro',
+        specs: ({ unit }) => size(unit, 120, 50, 100),
+        maintenance: 'Limpiar la cara inferior y la bancada antes de desplazarla.'
+    },
+    tailstockGuide: {
+        name: { es: 'Guía de Alineación inferior', en: 'Lower alignment key' },
+        assembly: 'tailstock',
+        description: 'Chaveta que encaja entre las dos vigas de la bancada.',
+        function: 'Mantiene el contrapunto alineado con el eje del cabezal al deslizarlo.',
+        material: 'Acero',
+        specs: ({ unit }) => size(unit, 120, 20, 19),
+        maintenance: 'Revisar el desgaste: si hay holgura, la punta giratoria se descentra.'
+    },
+    bearingHousing: {
+        name: { es: 'Alojamiento del Rodamiento', en: 'Bearing housing' },
+        assembly: 'tailstock',
+        description: 'Cilindro del contrapunto que contiene el rodamiento de la punta giratoria.',
+        function: 'Sostiene la punta giratoria a la altura exacta del eje.',
+        material: 'Acero',
+        specs: ({ unit }) => `Ø ${size(unit, 60, 60)}`,
+        maintenance: 'Evitar golpes; una deformación desalinea la punta.'
+    },
+    tailstockBrace: { name: { es: 'Escuadra de Refuerzo', en: 'Reinforcing gusset' }, assembly: 'tailstock', ...BRACE },
+    clampBase: {
+        name: { es: 'Soporte de Fijación', en: 'Clamp bracket' },
+        assembly: 'tailstock',
+        description: 'Bloque lateral del contrapunto donde enrosca el tornillo de apriete.',
+        function: 'Transmite la presión del tornillo contra la bancada.',
+        material: 'Acero',
+        specs: ({ unit }) => size(unit, 30, 50, 20),
+        maintenance: 'Limpiar la rosca de viruta.'
+    },
+    clampBolt: {
+        name: { es: 'Tornillo de Apriete', en: 'Clamp bolt' },
+        assembly: 'tailstock',
+        description: 'Espárrago roscado accionado por la manija de fijación.',
+        function: 'Bloquea el contrapunto en su posición sobre la bancada.',
+        material: 'Acero zincado',
+        specs: ({ unit }) => `Ø ${size(unit, 8, 20)}`,
+        maintenance: 'Lubricar la rosca con grasa ligera.'
+    },
+    clampHandle: { name: { es: 'Manija de Fijación', en: 'Clamp handle' }, assembly: 'tailstock', ...CLAMP_HANDLE },
+    bearing: {
+        name: { es: 'Rodamiento de Bolas', en: 'Ball bearing' },
+        assembly: 'tailstock',
+        description: 'Rodamiento que permite girar libremente a la punta del contrapunto.',
+        function: 'Soporta la carga axial de la pieza sin frenarla.',
+        material: 'Acero al cromo',
+        specs: ({ unit }) => `Ø ${bare(40, unit)} / Ø ${size(unit, 20, 10)}`,
+        maintenance: 'Sustituir si presenta juego o ruido; no lavar con disolvente.'
+    },
+    liveCenterPoint: {
+        name: { es: 'Punto Giratorio (Punta)', en: 'Live center (point)' },
+        assembly: 'tailstock',
+        description: 'Punta cónica del contrapunto que gira con la pieza.',
+        function: 'Sujeta el extremo de la punta de la baqueta sin rozamiento.',
+        material: 'Acero templado',
+        specs: ({ unit }) => `Cono Ø ${size(unit, 24, 40)}`,
+        maintenance: 'Comprobar que gira sin juego antes de cada trabajo.'
+    },
+    liveCenterBase: {
+        name: { es: 'Base de la Punta', en: 'Live center body' },
+        assembly: 'tailstock',
+        description: 'Cuerpo de la punta giratoria que encaja en el rodamiento.',
+        function: 'Une la punta con el rodamiento del contrapunto.',
+        material: 'Acero',
+        specs: ({ unit }) => `Ø ${size(unit, 30, 20)}`,
+        maintenance: 'Limpiar el cono de asiento antes de montarla.'
+    },
+    motorBody: {
+        name: { es: 'Motor Eléctrico (Cuerpo)', en: 'Electric motor (body)' },
+        assembly: 'drive',
+        description: 'Motor monofásico de inducción que acciona el torno.',
+        function: 'Genera el giro que la correa transmite al cabezal.',
+        material: 'Carcasa de aluminio, bobinado de cobre',
+        specs: ({ unit }) => `Ø ${size(unit, 100, 120)}`,
+        maintenance: 'Mantener limpias las aletas de refrigeración y no obstruir el ventilador.'
+    },
+    motorShaft: {
+        name: { es: 'Eje del Motor', en: 'Motor shaft' },
+        assembly: 'drive',
+        description: 'Eje de salida del motor.',
+        function: 'Lleva la polea motriz.',
+        material: 'Acero',
+        specs: ({ unit }) => `Ø ${size(unit, 16, 60)}`,
+        maintenance: 'Revisar el chavetero y el prisionero de la polea.'
+    },
+    motorPulley: {
+        name: { es: 'Polea del Motor', en: 'Motor pulley' },
+        assembly: 'drive',
+        description: 'Polea motriz montada en el eje del motor.',
+        function: 'Impulsa la correa; su diámetro frente al de la polea del cabezal fija la velocidad.',
+        material: 'Aluminio',
+        specs: ({ machine, unit }) => `Escalones Ø ${pulleySteps(machine).map(step => bare(step.motor, unit)).join(' / ')} × ${formatLength(20, unit)}`,
+        maintenance: 'Limpiar la garganta y comprobar la alineación con la polea del cabezal.'
+    },
+    belt: {
+        name: { es: 'Correa de Transmisión', en: 'Drive belt' },
+        assembly: 'drive',
+        description: 'Correa plana que une la polea del motor con la del cabezal.',
+        function: 'Transmite la potencia del motor y desliza si la pieza se bloquea.',
+        material: 'Caucho reforzado con lona',
+        specs: ({ unit }) => `Sección ${size(unit, 10, 4)}`,
+        maintenance: 'Revisar la tensión y sustituirla si aparecen grietas o brillo en la cara interior.'
+    },
+    toolRestBase: {
+        name: { es: 'Apoyo en T (Base)', en: 'T tool rest (base)' },
+        assembly: 'toolRest',
+        description: 'Bloque del apoyo de herramientas, paralelo a la pieza.',
+        function: 'Sostiene el sistema de rendija frente a la pieza.',
+        material: 'Fundición de aluminio',
+        specs: ({ machine, unit }) => size(unit, machine.toolRestLength, machine.centerHeight + 13, machine.toolRestDepth),
+        maintenance: 'Comprobar que queda bien fijado antes de encender el motor.'
+    },
+    slitSystem: { name: { es: 'Sistema de Rendija', en: 'Slit guide' }, assembly: 'toolRest', ...SLIT },
+    workpiece: {
+        name: { es: 'Pieza de Trabajo (Madera)', en: 'Workpiece (wood)' },
+        assembly: 'workpiece',
+        description: 'Tarugo o baqueta montado entre el punto de arrastre y el punto giratorio.',
+        function: 'Es la pieza que se tornea hasta el perfil del diseño.',
+        material: ({ species, finish }) => `${SPECIES[species].label}, ${FINISHES[finish.base].label.toLowerCase()}`,
+        specs: ({ stick, unit }) => `${formatLength(stick.length, unit)} × Ø ${formatLength(stick.diameter, unit)}`,
+        maintenance: 'Guardar las baquetas terminadas en un lugar seco para que no se curven.'
+    },
+    nylonTip: {
+        name: { es: 'Punta de Nylon', en: 'Nylon tip' },
+        assembly: 'workpiece',
+        description: 'Oliva postiza montada sobre la espiga de la punta.',
+        function: 'Da un sonido más brillante en platos y protege la madera del desgaste.',
+        material: 'Nylon',
+        specs: ({ stick, unit }) => `${formatLength(stick.tipLength, unit)} × Ø ${formatLength(stick.tipDiameter, unit)}`,
+        maintenance: 'Revisar que no se afloje; se fija con adhesivo en la espiga.'
+    },
+    pairStick: {
+        name: { es: 'Otra Baqueta del Par', en: 'Paired stick' },
+        assembly: 'workpiece',
+        description: 'La otra baqueta del par, mostrada para compararla con la montada en el torno.',
+        function: 'Referencia para igualar peso, equilibrio y diámetros entre las dos baquetas.',
+        material: 'Según su diseño',
+        specs: 'Ver la comparación en el panel del par',
+        maintenance: 'Ajustar la baqueta más pesada hasta que la diferencia quede dentro de la tolerancia.'
+    },
+    gougeNose: { ...GOUGE, name: { es: 'Gubia (Punta)', en: 'Gouge (nose)' }, material: 'Acero rápido (HSS)', specs: ({ unit }) => `Nariz de Ø ${formatLength(6, unit)}` },
+    gougeBlade: { ...GOUGE, name: { es: 'Gubia (Hoja)', en: 'Gouge (blade)' }, material: 'Acero rápido (HSS)', specs: ({ unit }) => `Ø ${size(unit, 6, 120)}` },
+    gougeFerrule: { ...GOUGE, name: { es: 'Gubia (Virola)', en: 'Gouge (ferrule)' }, material: 'Latón', specs: ({ unit }) => `Ø ${size(unit, 12, 12)}` },
+    gougeHandle: { ...GOUGE, name: { es: 'Gubia (Mango)', en: 'Gouge (handle)' }, material: 'Madera de haya', specs: ({ unit }) => `Ø ${size(unit, 14, 140)}` }
+};
+
+export function partName(id, locale = PART_LOCALE) {
+    const part = PARTS[id];
+    return part ? part.name[locale] || part.name.es : id;
+}
+
+export function assemblyName(id, locale = PART_LOCALE) {
+    const assembly = ASSEMBLIES[id];
+    return assembly ? assembly[locale] || assembly.es : id;
+}
+
+/**
+ * Etiqueta un objeto de la escena como instancia de una pieza del registro.
+ */
+export function tagPart(object, id) {
+    if (!PARTS[id]) throw new Error(`Pieza desconocida en el registro: ${id}`);
+    object.name = partName(id);
+    object.userData.partId = id;
+    return object;
+}
+
+// Sube por la jerarquía hasta la pieza a la que pertenece un objeto (p. ej. la malla de un grupo)
+export function findPartId(object) {
+    for (let node = object; node; node = node.parent) {
+        if (node.userData.partId) return node.userData.partId;
+    }
+    return null;
+}
+
+/**
+ * Ficha resuelta para el contexto actual, o null si la pieza no tiene ficha.
+ */
+export function getPartDetails(id, context) {
+    const details = PARTS[id];
+    if (!details) return null;
+
+    return Object.fromEntries(Object.keys(PART_DETAIL_FIELDS).map(key => {
+        const value = details[key];
+        return [key, typeof value === 'function' ? value(context) : value];
+    }));
+}
+
+const csvCell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+/**
+ * Lista de piezas (CSV) con los nombres en ambos idiomas y la ficha de cada una.
+ */
+export function toPartsCSV(context) {
+    const header = ['id', 'nombre', 'name', 'conjunto', ...Object.values(PART_DETAIL_FIELDS)];
+    const rows = Object.entries(PARTS).map(([id, part]) => {
+        const details = getPartDetails(id, context);
+        return [id, part.name.es, part.name.en, assemblyName(part.assembly), ...Object.keys(PART_DETAIL_FIELDS).map(key => details[key])];
+    });
+    // Con BOM para que las hojas de cálculo reconozcan UTF-8 (tildes, Ø)
+    return '\ufeff' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
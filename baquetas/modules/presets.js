@@ -0,0 +1,98 @@
+/**
+ * Baquetas Ayaman - Standard Model Presets
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { normalizeStick } from './stick.js';
+
+const STORAGE_KEY = 'ayaman-baquetas:presets';
+
+/**
+ * Modelos estándar (medidas nominales en mm). La longitud y el grosor siguen las
+ * denominaciones habituales; el cono y la punta son los de un modelo típico de cada tipo.
+ */
+export const PRESETS = {
+    '7A': {
+        label: '7A',
+        stick: {
+            length: 394, diameter: 13.7, taperStart: 245, taperLength: 115, shoulder: 0.45,
+            tipShape: 'oval', tipLength: 12, tipDiameter: 9.5, neckDiameter: 7.8
+        }
+    },
+    '5A': {
+        label: '5A',
+        stick: {
+            length: 406, diameter: 14.5, taperStart: 250, taperLength: 120, shoulder: 0.5,
+            tipShape: 'oval', tipLength: 13, tipDiameter: 10.5, neckDiameter: 8.5
+        }
+    },
+    '5B': {
+        label: '5B',
+        stick: {
+            length: 406, diameter: 15.1, taperStart: 255, taperLength: 115, shoulder: 0.55,
+            tipShape: 'oval', tipLength: 13.5, tipDiameter: 11, neckDiameter: 9
+        }
+    },
+    '2B': {
+        label: '2B',
+        stick: {
+            length: 413, diameter: 16, taperStart: 262, taperLength: 112, shoulder: 0.6,
+            tipShape: 'barrel', tipLength: 13, tipDiameter: 11.5, neckDiameter: 9.5
+        }
+    },
+    rock: {
+        label: 'Rock',
+        stick: {
+            length: 425, diameter: 15.1, taperStart: 270, taperLength: 110, shoulder: 0.6,
+            tipShape: 'acorn', tipLength: 16, tipDiameter: 11, neckDiameter: 9
+        }
+    }
+};
+
+/**
+ * Modelos guardados por el usuario en este navegador: [{ id, label, stick }].
+ */
+export function loadUserPresets(storage = window.localStorage) {
+    try {
+        const presets = JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(presets)
+            ? presets.filter(preset => preset && preset.id && preset.label).map(preset => ({ ...preset, stick: normalizeStick(preset.stick) }))
+            : [];
+    } catch {
+        return [];
+    }
+}
+
+// Devuelve null si el navegador no deja guardar (cuota llena, navegación privada)
+function storeUserPresets(presets, storage) {
+    try {
+        storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+        return presets;
+    } catch {
+        return null;
+    }
+}
+
+// Un nombre repetido reemplaza al modelo anterior con ese nombre
+export function saveUserPreset(label, stick, storage = window.localStorage) {
+    const presets = loadUserPresets(storage).filter(preset => preset.label !== label);
+    presets.push({ id: `user-${Date.now()}`, label, stick: normalizeStick(stick) });
+    return storeUserPresets(presets, storage);
+}
+
+export function deleteUserPreset(id, storage = window.localStorage) {
+    return storeUserPresets(loadUserPresets(storage).filter(preset => preset.id !== id), storage);
+}
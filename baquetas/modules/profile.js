@@ -0,0 +1,119 @@
+/**
+ * Baquetas Ayaman - Profile Utilities
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Utilidades sobre medios perfiles de revolución: listas de puntos (radio, altura)
+ * en mm con la altura creciente, tal como los consume LatheGeometry.
+ */
+
+/**
+ * Radio del perfil a la altura y (interpolación lineal); 0 fuera de la pieza.
+ */
+export function radiusAt(points, y) {
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        if (y < a.y || y > b.y || b.y === a.y) continue;
+        return a.x + (b.x - a.x) * ((y - a.y) / (b.y - a.y));
+    }
+    return 0;
+}
+
+/**
+ * Copia del perfil con puntos añadidos en las alturas `ys` (para que la malla tenga
+ * aristas exactas allí, p. ej. en los límites de una zona de acabado).
+ */
+export function splitProfile(points, ys) {
+    const result = [points[0]];
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        ys.filter(y => y > a.y && y < b.y)
+            .sort((p, q) => p - q)
+            .forEach(y => result.push(a.clone().lerp(b, (y - a.y) / (b.y - a.y))));
+        result.push(b);
+    }
+
+    return result;
+}
+
+/**
+ * Longitud axial del perfil.
+ */
+export function profileLength(points) {
+    return points[points.length - 1].y - points[0].y;
+}
+
+/**
+ * Volumen (mm³) y centroide axial (mm) del sólido de revolución, opcionalmente
+ * limitado al tramo [from, to]. Cada segmento del perfil es un tronco de cono.
+ */
+export function revolvedVolume(points, from = -Infinity, to = Infinity) {
+    let volume = 0;
+    let moment = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        let a = points[i - 1];
+        let b = points[i];
+        if (b.y <= a.y || b.y <= from || a.y >= to) continue;
+
+        // Recorte del segmento al tramo pedido
+        const lerp = (y) => ({ x: a.x + (b.x - a.x) * ((y - a.y) / (b.y - a.y)), y });
+        if (a.y < from) a = lerp(from);
+        if (b.y > to) b = lerp(to);
+
+        const h = b.y - a.y;
+        const r1 = a.x;
+        const r2 = b.x;
+        const sum = r1 * r1 + r1 * r2 + r2 * r2;
+        if (sum === 0) continue;
+
+        const v = (Math.PI * h * sum) / 3;
+        const centroid = a.y + (h * (r1 * r1 + 2 * r1 * r2 + 3 * r2 * r2)) / (4 * sum);
+        volume += v;
+        moment += v * centroid;
+    }
+
+    return { volume, centroid: volume > 0 ? moment / volume : 0 };
+}
+
+/**
+ * Masa en gramos de un volumen en mm³ con densidad en kg/m³.
+ */
+export const massOf = (volume, density) => volume * density * 1e-6;
+
+/**
+ * Combina tramos de distinta densidad ({ volume, centroid, density }) en volumen (mm³),
+ * masa (g) y punto de equilibrio (mm desde la culata). Un volumen negativo descuenta
+ * material, p. ej. la espiga de madera que ocupa el interior de una oliva.
+ */
+export function massProperties(parts) {
+    let volume = 0;
+    let mass = 0;
+    let moment = 0;
+
+    parts.forEach(part => {
+        const m = massOf(part.volume, part.density);
+        volume += part.volume;
+        mass += m;
+        moment += m * part.centroid;
+    });
+
+    return { volume, mass, balance: mass > 0 ? moment / mass : 0 };
+}
@@ -0,0 +1,192 @@
+/**
+ * Baquetas Ayaman - Section (Clipping) View
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { MM_PER_UNIT } from './units.js';
+
+/**
+ * Orientaciones del plano de corte. `normal` apunta hacia la parte que se conserva;
+ * con desplazamiento 0 el plano pasa por el centro de la vista, un punto del eje del
+ * husillo (ver SectionView.setCenter). `range` en mm.
+ */
+export const SECTION_AXES = {
+    z: { label: 'Longitudinal (vertical)', normal: [0, 0, -1], range: 60 },
+    y: { label: 'Longitudinal (horizontal)', normal: [0, -1, 0], range: 60 },
+    x: { label: 'Transversal', normal: [-1, 0, 0], range: 450 }
+};
+
+export const SECTION_AXIS_OPTIONS = Object.fromEntries(
+    Object.entries(SECTION_AXES).map(([id, axis]) => [id, axis.label])
+);
+
+export const SECTION_DEFAULTS = { axis: 'z', offset: 0 };
+
+const CAP_SIZE = 20;
+
+/**
+ * Corta todas las mallas bajo `root` con un plano y tapa las caras cortadas.
+ * Las tapas usan el búfer de stencil: cada malla se dibuja otra vez sin color, sumando
+ * sus caras traseras y restando las delanteras; donde el recuento no es cero el plano
+ * está dentro de un sólido y ahí se pinta la tapa. Solo es exacto con mallas cerradas.
+ */
+export class SectionView {
+    constructor(root, scene) {
+        this.root = root;
+        this.enabled = false;
+        this.center = new THREE.Vector3(0, 1, 0);
+        this.current = { ...SECTION_DEFAULTS };
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, -1), 0);
+        this.planes = [this.plane];
+        this.helpers = [];
+        this.stencils = new WeakMap();
+
+        const stencilBase = {
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            clippingPlanes: this.planes
+        };
+        this.backMaterial = new THREE.MeshBasicMaterial({
+            ...stencilBase,
+            side: THREE.BackSide,
+            stencilFail: THREE.IncrementWrapStencilOp,
+            stencilZFail: THREE.IncrementWrapStencilOp,
+            stencilZPass: THREE.IncrementWrapStencilOp
+        });
+        this.frontMaterial = new THREE.MeshBasicMaterial({
+            ...stencilBase,
+            side: THREE.FrontSide,
+            stencilFail: THREE.DecrementWrapStencilOp,
+            stencilZFail: THREE.DecrementWrapStencilOp,
+            stencilZPass: THREE.DecrementWrapStencilOp
+        });
+
+        this.cap = new THREE.Mesh(
+            new THREE.PlaneGeometry(CAP_SIZE, CAP_SIZE),
+            new THREE.MeshStandardMaterial({
+                color: 0xe53935,
+                metalness: 0.1,
+                roughness: 0.75,
+                side: THREE.DoubleSide,
+                stencilWrite: true,
+                stencilRef: 0,
+                stencilFunc: THREE.NotEqualStencilFunc,
+                stencilFail: THREE.ReplaceStencilOp,
+                stencilZFail: THREE.ReplaceStencilOp,
+                stencilZPass: THREE.ReplaceStencilOp
+            })
+        );
+        this.cap.name = 'Cara de corte';
+        this.cap.renderOrder = 1.1;
+        this.cap.visible = false;
+        this.cap.raycast = () => {};
+        this.cap.userData.noExport = true;
+        this.cap.onAfterRender = (renderer) => renderer.clearStencil();
+        scene.add(this.cap);
+
+        this.setPlane(SECTION_DEFAULTS);
+    }
+
+    setPlane({ axis, offset }) {
+        this.current = { axis, offset };
+        const spec = SECTION_AXES[axis] || SECTION_AXES[SECTION_DEFAULTS.axis];
+        const normal = new THREE.Vector3(...spec.normal);
+        const point = this.center.clone().addScaledVector(normal, -offset / MM_PER_UNIT);
+        this.plane.setFromNormalAndCoplanarPoint(normal, point);
+
+        // La tapa se coloca sobre el plano, mirando hacia la parte que se conserva
+        this.cap.position.copy(point);
+        this.cap.lookAt(point.clone().add(normal));
+    }
+
+    // Punto del eje por el que pasan los planos; cambia con la altura de puntas del torno
+    setCenter(center) {
+        this.center.copy(center);
+        this.setPlane(this.current);
+    }
+
+    /**
+     * Pasa a cortar otro conjunto de mallas (p. ej. el torno reconstruido); las
+     * auxiliares de stencil del anterior se descartan con él.
+     */
+    setRoot(root) {
+        this.helpers.forEach(helper => helper.removeFromParent());
+        this.helpers = [];
+        this.stencils = new WeakMap();
+        this.root = root;
+        this.update();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.cap.visible = enabled;
+        if (!enabled) {
+            this.helpers.forEach(helper => helper.removeFromParent());
+            this.helpers = [];
+            this.stencils = new WeakMap();
+        }
+        this.update();
+    }
+
+    // La parte descartada por el plano (para ignorar sus intersecciones del puntero)
+    isClipped(point) {
+        return this.enabled && this.plane.distanceToPoint(point) < 0;
+    }
+
+    /**
+     * Se llama en cada cuadro: las piezas se reconstruyen (torneado, acabados, modo par),
+     * así que se vuelven a asignar planos y geometrías a las mallas nuevas o cambiadas.
+     */
+    update() {
+        const meshes = [];
+        this.root.traverse(object => {
+            if (object.isMesh && !object.userData.sectionHelper) meshes.push(object);
+        });
+
+        meshes.forEach(mesh => {
+            const materials = [].concat(mesh.material);
+            materials.forEach(material => {
+                material.clippingPlanes = this.enabled ? this.planes : null;
+            });
+
+            // Las mallas de alambre (p. ej. la silueta del diseño) no tienen interior que tapar
+            if (!this.enabled || materials.some(material => material.wireframe)) return;
+
+            let stencil = this.stencils.get(mesh);
+            if (!stencil) {
+                stencil = [this.backMaterial, this.frontMaterial].map(material => {
+                    const helper = new THREE.Mesh(mesh.geometry, material);
+                    helper.userData.sectionHelper = true;
+                    helper.userData.noExport = true;
+                    helper.renderOrder = 1;
+                    helper.raycast = () => {};
+                    mesh.add(helper);
+                    this.helpers.push(helper);
+                    return helper;
+                });
+                this.stencils.set(mesh, stencil);
+            }
+            stencil.forEach(helper => {
+                helper.geometry = mesh.geometry;
+                helper.layers.mask = mesh.layers.mask;
+            });
+        });
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * Baquetas Ayaman - Shareable Design Links
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { STICK_FIELDS, TIP_FIELDS, normalizeStick } from './stick.js';
+import { normalizeFinish } from './finishes.js';
+import { DESIGN_FORMAT, DESIGN_VERSION, DesignFileError, parseDesign } from './design-file.js';
+
+// Versión del formato compacto del enlace (independiente de la del archivo JSON)
+const LINK_VERSION = 1;
+
+const STICK_KEYS = [...STICK_FIELDS, ...TIP_FIELDS].map(field => field.key);
+
+const round = (value, decimals = 2) => Number(value.toFixed(decimals));
+
+// base64url de un texto UTF-8, sin relleno
+function toBase64Url(text) {
+    const binary = String.fromCharCode(...new TextEncoder().encode(text));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+}
+
+/**
+ * Codifica el diseño (sin las notas del cliente, que son privadas) y, opcionalmente, la
+ * vista de cámara { position, target } como fragmento de URL: "b=<diseño>&c=<cámara>".
+ * El diseño es un arreglo posicional en JSON y base64url para que el enlace sea corto.
+ */
+export function encodeShareHash(design, view = null) {
+    const stick = normalizeStick(design.stick);
+    const finish = normalizeFinish(design.finish);
+    const compact = [
+        LINK_VERSION,
+        STICK_KEYS.map(key => (typeof stick[key] === 'number' ? round(stick[key]) : stick[key])),
+        design.species,
+        [finish.base, finish.baseColor, finish.zones.map(zone => [zone.finish, round(zone.from, 1), round(zone.to, 1), zone.color])]
+    ];
+
+    // base64url y números con comas no necesitan escaparse en el fragmento
+    const parts = [`b=${toBase64Url(JSON.stringify(compact))}`];
+    if (view) {
+        parts.push(`c=${[...view.position.toArray(), ...view.target.toArray()].map(v => round(v, 3)).join(',')}`);
+    }
+    return parts.join('&');
+}
+
+/**
+ * Decodifica un fragmento generado por encodeShareHash. Devuelve { design, view } (cada uno
+ * puede ser null) o null si el fragmento no es un enlace de diseño. Un diseño dañado lanza
+ * DesignFileError, con la misma validación que los archivos JSON.
+ */
+export function decodeShareHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('b') && !params.has('c')) return null;
+
+    let design = null;
+    if (params.has('b')) {
+        let compact;
+        try {
+            compact = JSON.parse(fromBase64Url(params.get('b')));
+        } catch {
+            throw new DesignFileError('El enlace está incompleto o dañado.');
+        }
+        if (!Array.isArray(compact) || compact[0] !== LINK_VERSION) {
+            throw new DesignFileError('El enlace fue creado con una versión distinta de la aplicación.');
+        }
+
+        const [, values, species, finish] = compact;
+        if (!Array.isArray(values) || !Array.isArray(finish)) {
+            throw new DesignFileError('El enlace está incompleto o dañado.');
+        }
+        const [base, baseColor, zones = []] = finish;
+        if (!Array.isArray(zones) || !zones.every(Array.isArray)) {
+            throw new DesignFileError('El enlace está incompleto o dañado.');
+        }
+
+        // Se valida como un archivo de diseño de la versión actual
+        design = parseDesign(JSON.stringify({
+            format: DESIGN_FORMAT,
+            version: DESIGN_VERSION,
+            design: {
+                stick: Object.fromEntries(STICK_KEYS.map((key, i) => [key, values[i]])),
+                species,
+                finish: {
+                    base,
+                    baseColor,
+                    zones: zones.map(([zoneFinish, from, to, color]) => ({ finish: zoneFinish, from, to, color }))
+                },
+                notes: ''
+            }
+        }));
+    }
+
+    let view = null;
+    const camera = (params.get('c') || '').split(',').map(Number);
+    if (camera.length === 6 && camera.every(Number.isFinite)) {
+        view = { position: camera.slice(0, 3), target: camera.slice(3) };
+    }
+
+    return { design, view };
+}
@@ -0,0 +1,58 @@
+/**
+ * Baquetas Ayaman - Wood Species Catalog
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Catálogo de maderas. Densidades secas al aire (12 % de humedad) en kg/m³, valores
+ * de referencia para estimar peso y balance. `grain` describe el veteado: color de
+ * los anillos, separación media entre anillos (mm) y cuánto ondula la figura.
+ */
+export const SPECIES = {
+    hickory: {
+        label: 'Nogal americano (Hickory)',
+        density: 820,
+        color: 0xc9a27a,
+        grain: { ringColor: 0x8a6242, ringSpacing: 2.2, waviness: 0.35, contrast: 0.55 }
+    },
+    maple: {
+        label: 'Arce (Maple)',
+        density: 705,
+        color: 0xe8d2a8,
+        grain: { ringColor: 0xc9ad7f, ringSpacing: 3.0, waviness: 0.15, contrast: 0.3 }
+    },
+    vera: {
+        label: 'Vera',
+        density: 1100,
+        color: 0x6b7a3c,
+        grain: { ringColor: 0x3e4a22, ringSpacing: 1.2, waviness: 0.5, contrast: 0.6 }
+    },
+    cardon: {
+        label: 'Cardón',
+        density: 600,
+        color: 0xb89a6e,
+        grain: { ringColor: 0x7d6240, ringSpacing: 4.0, waviness: 0.8, contrast: 0.45 }
+    }
+};
+
+export const DEFAULT_SPECIES = 'hickory';
+
+// Oliva de nylon (puntas postizas)
+export const NYLON_DENSITY = 1150;
+
+export const SPECIES_OPTIONS = Object.fromEntries(
+    Object.entries(SPECIES).map(([id, species]) => [id, `${species.label} · ${species.density} kg/m³`])
+);
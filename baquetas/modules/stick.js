@@ -0,0 +1,187 @@
+/**
+ * Baquetas Ayaman - Parametric Drumstick Profile
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { TIP_SHAPES, TIP_OPTIONS } from './tips.js';
+import { NYLON_DENSITY } from './species.js';
+import { revolvedVolume, massProperties, splitProfile } from './profile.js';
+
+// Todas las medidas de la baqueta se expresan en milímetros (ver units.js para la escala de escena)
+
+const BUTT_ROUND = 2;      // Redondeo del canto en la culata (mm)
+const TAPER_STEPS = 24;    // Muestras a lo largo del cono
+const TIP_STEPS = 32;      // Muestras a lo largo de la punta
+
+// Valores por defecto: una baqueta tipo 5A
+export const STICK_DEFAULTS = {
+    length: 406,
+    diameter: 14.5,
+    taperStart: 250,
+    taperLength: 120,
+    shoulder: 0.5,
+    tipShape: 'oval',
+    ...TIP_SHAPES.oval.defaults
+};
+
+// Definición de los campos editables (usada por el panel de diseño)
+export const STICK_FIELDS = [
+    { key: 'length', label: 'Longitud total', min: 300, max: 480, step: 1, unit: 'mm' },
+    { key: 'diameter', label: 'Grosor (empuñadura)', min: 10, max: 20, step: 0.1, unit: 'mm' },
+    { key: 'taperStart', label: 'Inicio del cono', min: 150, max: 400, step: 1, unit: 'mm' },
+    { key: 'taperLength', label: 'Longitud del cono', min: 10, max: 250, step: 1, unit: 'mm' },
+    { key: 'shoulder', label: 'Hombro', min: 0, max: 1, step: 0.05 }
+];
+
+export const TIP_FIELDS = [
+    { key: 'tipShape', label: 'Forma de la punta', options: TIP_OPTIONS },
+    { key: 'tipLength', label: 'Longitud de la punta', min: 5, max: 30, step: 0.5, unit: 'mm' },
+    { key: 'tipDiameter', label: 'Diámetro máximo', min: 4, max: 18, step: 0.1, unit: 'mm' },
+    { key: 'neckDiameter', label: 'Diámetro del cuello', min: 4, max: 16, step: 0.1, unit: 'mm' }
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Ajusta los parámetros a rangos válidos y coherentes entre sí
+ * (el cono y la punta siempre deben caber dentro de la longitud total).
+ */
+export function normalizeStick(params) {
+    const stick = { ...STICK_DEFAULTS, ...params };
+
+    [...STICK_FIELDS, ...TIP_FIELDS].forEach(field => {
+        if (field.options) {
+            if (!Object.hasOwn(field.options, stick[field.key])) stick[field.key] = STICK_DEFAULTS[field.key];
+        } else {
+            const value = Number(stick[field.key]);
+            stick[field.key] = clamp(Number.isFinite(value) ? value : STICK_DEFAULTS[field.key], field.min, field.max);
+        }
+    });
+
+    const tipStart = stick.length - stick.tipLength;
+    stick.taperStart = Math.min(stick.taperStart, tipStart - 10);
+    stick.taperLength = clamp(stick.taperLength, 1, tipStart - stick.taperStart);
+    stick.neckDiameter = Math.min(stick.neckDiameter, stick.diameter);
+
+    return stick;
+}
+
+/**
+ * Cambia la forma de la punta cargando las medidas propias de esa forma.
+ */
+export function withTipShape(params, tipShape) {
+    const shape = Object.hasOwn(TIP_SHAPES, tipShape) ? TIP_SHAPES[tipShape] : null;
+    return normalizeStick(shape ? { ...params, tipShape, ...shape.defaults } : params);
+}
+
+// Puntos (radio, altura) de la punta, desde el cuello hasta el eje
+function tipPoints(stick, maxRadius = Infinity) {
+    const shape = TIP_SHAPES[stick.tipShape];
+    const dims = { tipLength: stick.tipLength, tipR: stick.tipDiameter / 2, neckR: stick.neckDiameter / 2 };
+    const tipStart = stick.length - stick.tipLength;
+    const points = [];
+
+    for (let i = 1; i <= TIP_STEPS; i++) {
+        const t = i / TIP_STEPS;
+        const r = i === TIP_STEPS ? 0 : Math.min(shape.radius(t, dims), maxRadius);
+        points.push(new THREE.Vector2(r, tipStart + t * stick.tipLength));
+    }
+
+    return points;
+}
+
+/**
+ * Genera el medio perfil de la baqueta, de la culata (y = 0) a la punta (y = length),
+ * como puntos (radio, altura) en mm listos para LatheGeometry.
+ */
+export function buildStickProfile(params) {
+    const stick = normalizeStick(params);
+    const gripR = stick.diameter / 2;
+    const neckR = stick.neckDiameter / 2;
+    const taperEnd = stick.taperStart + stick.taperLength;
+    const tipStart = stick.length - stick.tipLength;
+    const points = [new THREE.Vector2(0, 0)];
+
+    // Culata con canto redondeado
+    for (let i = 0; i <= 4; i++) {
+        const a = (i / 4) * (Math.PI / 2);
+        points.push(new THREE.Vector2(gripR - BUTT_ROUND + BUTT_ROUND * Math.sin(a), BUTT_ROUND - BUTT_ROUND * Math.cos(a)));
+    }
+
+    // Empuñadura y cono: el hombro mezcla un cono lineal con uno convexo
+    points.push(new THREE.Vector2(gripR, stick.taperStart));
+    for (let i = 1; i <= TAPER_STEPS; i++) {
+        const s = i / TAPER_STEPS;
+        const f = (1 - stick.shoulder) * (1 - s) + stick.shoulder * (1 - s * s);
+        points.push(new THREE.Vector2(neckR + (gripR - neckR) * f, stick.taperStart + s * stick.taperLength));
+    }
+
+    // Cuello
+    if (tipStart > taperEnd) {
+        points.push(new THREE.Vector2(neckR, tipStart));
+    }
+
+    // Punta (en puntas postizas la madera termina en una espiga bajo la oliva)
+    const shape = TIP_SHAPES[stick.tipShape];
+    points.push(...tipPoints(stick, shape.cap ? neckR * shape.tenon : Infinity));
+
+    return points;
+}
+
+/**
+ * `breaks` son alturas (mm) donde se fuerza una arista, p. ej. límites de acabado.
+ */
+export function createStickGeometry(params, { segments = 48, breaks = [] } = {}) {
+    return new THREE.LatheGeometry(splitProfile(buildStickProfile(params), breaks), segments);
+}
+
+/**
+ * Perfil de la oliva postiza (p. ej. nylon), o null si la punta es de la misma madera.
+ */
+export function buildTipCapProfile(params) {
+    const stick = normalizeStick(params);
+    if (!TIP_SHAPES[stick.tipShape].cap) return null;
+
+    const tipStart = stick.length - stick.tipLength;
+    return [new THREE.Vector2(0, tipStart), new THREE.Vector2(stick.neckDiameter / 2, tipStart), ...tipPoints(stick)];
+}
+
+export function createTipCapGeometry(params, segments = 48) {
+    const points = buildTipCapProfile(params);
+    return points ? new THREE.LatheGeometry(points, segments) : null;
+}
+
+/**
+ * Volumen, masa y punto de equilibrio de la baqueta en una madera de densidad dada,
+ * incluyendo la oliva postiza si la hay. La espiga bajo la oliva es madera: el perfil
+ * de la oliva es macizo, así que se le descuenta el volumen de la espiga y el nylon
+ * solo cuenta en la cáscara que la rodea.
+ */
+export function stickMassProperties(params, density) {
+    const stick = normalizeStick(params);
+    const woodProfile = buildStickProfile(stick);
+    const parts = [{ ...revolvedVolume(woodProfile), density }];
+
+    const capProfile = buildTipCapProfile(stick);
+    if (capProfile) {
+        const tenon = revolvedVolume(woodProfile, stick.length - stick.tipLength);
+        parts.push({ ...revolvedVolume(capProfile), density: NYLON_DENSITY });
+        parts.push({ volume: -tenon.volume, centroid: tenon.centroid, density: NYLON_DENSITY });
+    }
+
+    return massProperties(parts);
+}
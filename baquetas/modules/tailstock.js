@@ -0,0 +1,76 @@
+/**
+ * Baquetas Ayaman - Tailstock Travel and Clamp
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Lo que se clava la punta giratoria en el extremo del tarugo (mm), como el punto de arrastre
+export const LIVE_CENTER_BITE = 5;
+
+const LOCKED_ANGLE = 0;
+const UNLOCKED_ANGLE = Math.PI / 4;  // Un octavo de vuelta: la cruz se ve girada
+const UNSCREW = 0.03;                // Lo que sale el tornillo al aflojar
+const TURN_TIME = 0.35;              // Segundos del giro de la manija
+
+/**
+ * Manija de fijación del contrapunto: girarla afloja o aprieta el tornillo contra la
+ * bancada. El giro se anima; el contrapunto solo puede moverse cuando está suelto.
+ */
+export class TailstockClamp {
+    constructor(handle) {
+        this.locked = true;
+        this.progress = 0; // 0 = apretada, 1 = suelta
+        this.attach(handle);
+    }
+
+    // Pasa a mover otra manija (p. ej. la del torno reconstruido) conservando el estado
+    attach(handle) {
+        this.handle = handle;
+        this.basePosition = handle.position.z;
+        this.pose();
+    }
+
+    pose() {
+        this.handle.rotation.z = LOCKED_ANGLE + (UNLOCKED_ANGLE - LOCKED_ANGLE) * this.progress;
+        this.handle.position.z = this.basePosition + UNSCREW * this.progress;
+    }
+
+    toggle() {
+        this.locked = !this.locked;
+        return this.locked;
+    }
+
+    // Solo se puede deslizar con la manija completamente suelta
+    get free() {
+        return !this.locked && this.progress === 1;
+    }
+
+    update(delta) {
+        const target = this.locked ? 0 : 1;
+        if (this.progress === target) return;
+
+        const step = delta / TURN_TIME;
+        this.progress = target > this.progress ? Math.min(this.progress + step, 1) : Math.max(this.progress - step, 0);
+        this.pose();
+    }
+}
+
+/**
+ * Limita la posición del contrapunto a su recorrido sobre la bancada (x del grupo, ver
+ * machineLayout); `minX` permite además impedir que la punta giratoria se clave en la pieza.
+ */
+export function clampTailstockX(x, travel, minX = travel.min) {
+    return Math.min(Math.max(x, minX, travel.min), travel.max);
+}
@@ -0,0 +1,191 @@
+/**
+ * Baquetas Ayaman - Shop Templates (SVG / DXF / Print)
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { radiusAt, profileLength } from './profile.js';
+import { UNITS, formatLength } from './units.js';
+
+// Tamaños de papel en orientación apaisada (mm)
+export const PAGE_SIZES = {
+    a4: { label: 'A4', width: 297, height: 210 },
+    letter: { label: 'Carta (Letter)', width: 279.4, height: 215.9 }
+};
+
+// Separaciones entre estaciones que se ofrecen (mm) y la elegida por defecto
+export const STATION_STEPS = [10, 25, 50];
+export const DEFAULT_STATION_STEP = 25;
+
+const MARGIN = 10;         // Margen del dibujo y de impresión (mm)
+const CALLOUT_SPACE = 22;  // Espacio sobre el perfil para las cotas de diámetro
+const LABEL_SPACE = 12;    // Espacio bajo el eje para las posiciones
+const PAGE_OVERLAP = 15;   // Solape entre páginas consecutivas para alinear
+
+const fmt = (value) => String(+value.toFixed(1));
+
+/**
+ * Geometría del dibujo a escala 1:1 en mm: medio perfil sobre el eje, marcas de
+ * estación cada `stationStep` mm y cotas de diámetro en cada estación, rotuladas
+ * en la unidad elegida. Las coordenadas siguen la convención SVG (Y hacia abajo).
+ */
+export function buildTemplate(profile, { stationStep = DEFAULT_STATION_STEP, unit = 'mm' } = {}) {
+    const length = profileLength(profile);
+    const maxRadius = Math.max(...profile.map(p => p.x));
+    const axisY = MARGIN + CALLOUT_SPACE + maxRadius;
+
+    const outline = profile.map(p => ({ x: MARGIN + p.y, y: axisY - p.x }));
+
+    const stations = [];
+    for (let y = 0; y <= length + 1e-6; y += stationStep) {
+        stations.push({ position: y, diameter: radiusAt(profile, y) * 2 });
+    }
+    if (length - stations[stations.length - 1].position > stationStep / 4) {
+        stations.push({ position: length, diameter: 0 });
+    }
+
+    const label = (mm) => formatLength(mm, unit, { symbol: false });
+
+    return {
+        length,
+        width: length + MARGIN * 2,
+        height: axisY + LABEL_SPACE + MARGIN,
+        axisY,
+        outline,
+        legend: `Baquetas Ayaman · cotas en ${UNITS[unit].label}`,
+        stations: stations.map(s => ({
+            ...s,
+            x: MARGIN + s.position,
+            top: axisY - s.diameter / 2,
+            positionLabel: label(s.position),
+            diameterLabel: label(s.diameter)
+        }))
+    };
+}
+
+// Elementos SVG del dibujo completo (sin el elemento raíz)
+function templateMarkup(template) {
+    const { outline, stations, axisY, width, legend } = template;
+    const path = outline.map((p, i) => `${i === 0 ? 'M' : 'L'}${fmt(p.x)} ${fmt(p.y)}`).join(' ') + ' Z';
+    const parts = [
+        `<path d="${path}" fill="#f2e6d8" stroke="#000" stroke-width="0.3"/>`,
+        `<line x1="${MARGIN / 2}" y1="${fmt(axisY)}" x2="${fmt(width - MARGIN / 2)}" y2="${fmt(axisY)}" stroke="#000" stroke-width="0.2" stroke-dasharray="6 2 1 2"/>`,
+        `<text x="${MARGIN}" y="${MARGIN}" font-size="3.5">${legend}</text>`
+    ];
+
+    stations.forEach(s => {
+        parts.push(
+            `<line x1="${fmt(s.x)}" y1="${fmt(axisY + 3)}" x2="${fmt(s.x)}" y2="${fmt(s.top - 4)}" stroke="#000" stroke-width="0.15"/>`,
+            `<text x="${fmt(s.x)}" y="${fmt(axisY + 7)}" font-size="2.8" text-anchor="middle">${s.positionLabel}</text>`
+        );
+        if (s.diameter > 0) {
+            parts.push(`<text x="${fmt(s.x)}" y="${fmt(s.top - 5)}" font-size="2.8" text-anchor="middle">Ø${s.diameterLabel}</text>`);
+        }
+    });
+
+    return parts.join('\n');
+}
+
+const svgRoot = (width, height, viewBox, body) =>
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(width)}mm" height="${fmt(height)}mm" viewBox="${viewBox}" font-family="sans-serif">\n${body}\n</svg>`;
+
+export function toSVG(profile, options) {
+    const template = buildTemplate(profile, options);
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        svgRoot(template.width, template.height, `0 0 ${fmt(template.width)} ${fmt(template.height)}`, templateMarkup(template)) + '\n';
+}
+
+/**
+ * DXF R12 (ASCII) con la geometría en mm y capas separadas para perfil, eje, estaciones y cotas.
+ * El DXF usa Y hacia arriba, así que el eje queda en Y = 0 y el perfil por encima.
+ */
+export function toDXF(profile, options) {
+    const template = buildTemplate(profile, options);
+    const { axisY } = template;
+    const X = (x) => fmt(x - MARGIN);
+    const Y = (y) => fmt(axisY - y);
+    const out = ['0', 'SECTION', '2', 'ENTITIES'];
+
+    const line = (layer, x1, y1, x2, y2) => out.push(
+        '0', 'LINE', '8', layer, '10', X(x1), '20', Y(y1), '30', '0', '11', X(x2), '21', Y(y2), '31', '0'
+    );
+    const text = (layer, x, y, value) => out.push(
+        '0', 'TEXT', '8', layer, '10', X(x), '20', Y(y), '30', '0', '40', '2.8', '1', value, '72', '1', '11', X(x), '21', Y(y), '31', '0'
+    );
+
+    template.outline.forEach((p, i) => {
+        const next = template.outline[(i + 1) % template.outline.length];
+        line('PERFIL', p.x, p.y, next.x, next.y);
+    });
+    line('EJE', MARGIN / 2, axisY, template.width - MARGIN / 2, axisY);
+    text('COTAS', MARGIN + 40, MARGIN, template.legend);
+
+    template.stations.forEach(s => {
+        line('ESTACIONES', s.x, axisY + 3, s.x, s.top - 4);
+        text('ESTACIONES', s.x, axisY + 7, s.positionLabel);
+        if (s.diameter > 0) text('COTAS', s.x, s.top - 5, `%%c${s.diameterLabel}`);
+    });
+
+    out.push('0', 'ENDSEC', '0', 'EOF');
+    return out.join('\n') + '\n';
+}
+
+/**
+ * Documento HTML imprimible a escala 1:1 repartido en páginas apaisadas. Páginas
+ * consecutivas se solapan y comparten marcas de registro en la línea de unión.
+ */
+export function toPrintHTML(profile, pageKey = 'a4', options) {
+    const template = buildTemplate(profile, options);
+    const page = PAGE_SIZES[pageKey] || PAGE_SIZES.a4;
+    const areaWidth = page.width - MARGIN * 2;
+    const areaHeight = page.height - MARGIN * 2;
+    const advance = areaWidth - PAGE_OVERLAP;
+    const count = Math.max(1, Math.ceil((template.width - PAGE_OVERLAP) / advance));
+    const body = templateMarkup(template);
+
+    // Marcas de registro en el inicio y final de cada zona de solape
+    const joins = [];
+    for (let i = 1; i < count; i++) joins.push(i * advance, i * advance + PAGE_OVERLAP);
+    const marks = joins.map(x => [MARGIN / 2, template.height - MARGIN / 2].map(y =>
+        `<circle cx="${fmt(x)}" cy="${fmt(y)}" r="2" fill="none" stroke="#000" stroke-width="0.2"/>` +
+        `<line x1="${fmt(x - 3)}" y1="${fmt(y)}" x2="${fmt(x + 3)}" y2="${fmt(y)}" stroke="#000" stroke-width="0.2"/>` +
+        `<line x1="${fmt(x)}" y1="${fmt(y - 3)}" x2="${fmt(x)}" y2="${fmt(y + 3)}" stroke="#000" stroke-width="0.2"/>`
+    ).join('')).join('\n');
+
+    const pages = [];
+    for (let i = 0; i < count; i++) {
+        const x0 = i * advance;
+        const label = `<text x="${fmt(x0 + areaWidth - 2)}" y="${fmt(areaHeight - 2)}" font-size="3" text-anchor="end">Página ${i + 1} / ${count} · escala 1:1 (mm)</text>`;
+        pages.push(`<div class="page">${svgRoot(areaWidth, areaHeight, `${fmt(x0)} 0 ${fmt(areaWidth)} ${fmt(areaHeight)}`, `${body}\n${marks}\n${label}`)}</div>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<title>Plantilla Baquetas Ayaman</title>
+<style>
+@page { size: ${page.width}mm ${page.height}mm; margin: ${MARGIN}mm; }
+body { margin: 0; }
+.page { page-break-after: always; }
+.page:last-child { page-break-after: auto; }
+svg { display: block; }
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>`;
+}
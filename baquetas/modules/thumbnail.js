@@ -0,0 +1,74 @@
+/**
+ * Baquetas Ayaman - Design Thumbnails
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+
+export const THUMBNAIL_WIDTH = 240;
+export const THUMBNAIL_HEIGHT = 80;
+
+const FOV = 30;
+const MARGIN = 1.1;
+
+/**
+ * Renderiza un objeto (p. ej. una copia de la pieza de trabajo) en una escena propia
+ * con el renderer de la aplicación y devuelve la miniatura como data URL PNG.
+ * Se dibuja sobre el lienzo principal y se recorta la franja central; quien llama
+ * debe volver a renderizar su escena a continuación.
+ */
+export function renderThumbnail(renderer, object, { width = THUMBNAIL_WIDTH, height = THUMBNAIL_HEIGHT, background = '#141414' } = {}) {
+    const scene = new THREE.Scene();
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x444444, 1.6));
+    const light = new THREE.DirectionalLight(0xffffff, 1.8);
+    light.position.set(1, 3, 4);
+    scene.add(light);
+
+    // La pieza se centra en el origen
+    scene.add(object);
+    const box = new THREE.Box3().setFromObject(object);
+    object.position.sub(box.getCenter(new THREE.Vector3()));
+    const size = box.getSize(new THREE.Vector3());
+
+    const canvas = renderer.domElement;
+    const aspect = canvas.width / canvas.height;
+    const cropWidth = Math.min(canvas.width, canvas.height * (width / height));
+    const cropHeight = cropWidth * (height / width);
+
+    // Distancia a la que el ancho del recorte abarca la pieza con margen
+    const camera = new THREE.PerspectiveCamera(FOV, aspect, 0.01, 100);
+    const halfTan = Math.tan(THREE.MathUtils.degToRad(FOV / 2));
+    const distance = (size.x * MARGIN * canvas.width) / (2 * halfTan * aspect * cropWidth) + size.z / 2;
+    camera.position.set(0, distance * 0.25, distance);
+    camera.lookAt(0, 0, 0);
+
+    renderer.render(scene, camera);
+
+    const thumbnail = document.createElement('canvas');
+    thumbnail.width = width;
+    thumbnail.height = height;
+    const context = thumbnail.getContext('2d');
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+    context.drawImage(
+        canvas,
+        (canvas.width - cropWidth) / 2, (canvas.height - cropHeight) / 2, cropWidth, cropHeight,
+        0, 0, width, height
+    );
+
+    scene.remove(object);
+    return thumbnail.toDataURL('image/png');
+}
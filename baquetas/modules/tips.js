@@ -0,0 +1,89 @@
+/**
+ * Baquetas Ayaman - Tip Shape Library
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Subida suave (coseno) del radio del cuello al radio máximo entre t = 0 y t = end
+const rise = (t, end, neckR, tipR) => {
+    const s = Math.min(t / end, 1);
+    return neckR + (tipR - neckR) * (1 - Math.cos(s * Math.PI)) / 2;
+};
+
+// Cierre elíptico desde el radio máximo en t = start hasta el eje en t = 1
+const cap = (t, start, tipR) => {
+    const u = (t - start) / (1 - start);
+    return tipR * Math.sqrt(Math.max(1 - u * u, 0));
+};
+
+/**
+ * Catálogo de puntas. Cada generador recibe t (0 = cuello, 1 = extremo) y las medidas
+ * de la punta en mm, y devuelve el radio en ese punto. `defaults` son las medidas con
+ * las que se carga la forma al seleccionarla.
+ */
+export const TIP_SHAPES = {
+    acorn: {
+        label: 'Bellota',
+        defaults: { tipLength: 16, tipDiameter: 10, neckDiameter: 8 },
+        radius: (t, { tipR, neckR }) => {
+            if (t < 0.3) return rise(t, 0.3, neckR, tipR);
+            const u = (t - 0.3) / 0.7;
+            return tipR * Math.pow(Math.max(1 - Math.pow(u, 1.6), 0), 0.6);
+        }
+    },
+    barrel: {
+        label: 'Barril',
+        defaults: { tipLength: 12, tipDiameter: 9.5, neckDiameter: 8.5 },
+        radius: (t, { tipR, neckR }) => {
+            if (t < 0.15) return rise(t, 0.15, neckR, tipR);
+            if (t < 0.7) return tipR;
+            return cap(t, 0.7, tipR);
+        }
+    },
+    round: {
+        label: 'Redonda',
+        defaults: { tipLength: 11, tipDiameter: 10.5, neckDiameter: 8 },
+        // Esfera de radio tipR apoyada en el extremo; antes del ecuador, transición desde el cuello
+        radius: (t, { tipLength, tipR, neckR }) => {
+            const equator = Math.max(tipLength - tipR, 0) / tipLength;
+            if (t < equator) return rise(t, equator, neckR, tipR);
+            const z = (t - equator) * tipLength;
+            return Math.sqrt(Math.max(tipR * tipR - z * z, 0));
+        }
+    },
+    oval: {
+        label: 'Oval',
+        defaults: { tipLength: 13, tipDiameter: 10.5, neckDiameter: 8.5 },
+        // Elipsoide con el ecuador a media punta
+        radius: (t, { tipR, neckR }) => (t < 0.5 ? rise(t, 0.5, neckR, tipR) : cap(t, 0.5, tipR))
+    },
+    teardrop: {
+        label: 'Lágrima',
+        defaults: { tipLength: 15, tipDiameter: 10.5, neckDiameter: 7.5 },
+        radius: (t, { tipR, neckR }) => (t < 0.65 ? rise(t, 0.65, neckR, tipR) : cap(t, 0.65, tipR))
+    },
+    nylon: {
+        label: 'Nylon',
+        defaults: { tipLength: 13, tipDiameter: 10, neckDiameter: 8.5 },
+        // La oliva de nylon se monta sobre una espiga torneada en la madera
+        cap: true,
+        tenon: 0.55,
+        radius: (t, { tipR, neckR }) => (t < 0.4 ? rise(t, 0.4, neckR, tipR) : cap(t, 0.4, tipR))
+    }
+};
+
+export const TIP_OPTIONS = Object.fromEntries(
+    Object.entries(TIP_SHAPES).map(([id, shape]) => [id, shape.label])
+);
@@ -0,0 +1,151 @@
+/**
+ * Baquetas Ayaman - Turning Simulation
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as THREE from 'three';
+import { radiusAt, splitProfile } from './profile.js';
+import { mmToScene } from './units.js';
+import { tagPart } from './parts.js';
+
+// Tarugo en bruto entre puntos (mm): por defecto, el de un 5A con los sobrantes por defecto
+export const BLANK_DEFAULTS = { length: 486, diameter: 25 };
+
+// Sobrante en cada extremo (mm): la madera que muerden las puntas se corta al terminar
+export const BLANK_WASTE_DEFAULTS = { drive: 40, live: 40 };
+
+export const BLANK_WASTE_FIELDS = [
+    { key: 'drive', label: 'Sobrante en el arrastre', min: 0, max: 100, step: 1, unit: 'mm' },
+    { key: 'live', label: 'Sobrante en la punta giratoria', min: 0, max: 100, step: 1, unit: 'mm' }
+];
+
+export const blankLength = (stickLength, waste) => stickLength + waste.drive + waste.live;
+
+export const GOUGE_NOSE = 3;     // Radio de la nariz de la gubia (mm)
+const STATION_STEP = 1;          // Separación entre estaciones (mm)
+const MIN_RADIUS = 0.5;          // La pieza nunca se corta del todo
+
+/**
+ * Tarugo representado como un radio por estación a lo largo del eje.
+ * La gubia solo puede quitar material: cada corte toma el mínimo entre el
+ * radio actual y la huella circular de la nariz de la herramienta.
+ */
+export class TurningBlank {
+    constructor(length = BLANK_DEFAULTS.length, diameter = BLANK_DEFAULTS.diameter, step = STATION_STEP) {
+        this.length = length;
+        this.diameter = diameter;
+        this.step = step;
+        this.radii = new Float32Array(Math.round(length / step) + 1);
+        this.reset();
+    }
+
+    reset() {
+        this.radii.fill(this.diameter / 2);
+    }
+
+    // true si la gubia ya quitó material en alguna estación
+    get turned() {
+        return this.radii.some(r => r < this.diameter / 2);
+    }
+
+    radiusAt(y) {
+        const s = y / this.step;
+        if (s < 0 || s > this.radii.length - 1) return 0;
+        const i = Math.min(Math.floor(s), this.radii.length - 2);
+        return this.radii[i] + (this.radii[i + 1] - this.radii[i]) * (s - i);
+    }
+
+    /**
+     * Corta con la punta de la gubia en la altura y (mm) a una distancia r (mm) del eje.
+     * Devuelve true si se retiró material.
+     */
+    cut(y, r, noseRadius = GOUGE_NOSE) {
+        const first = Math.max(Math.ceil((y - noseRadius) / this.step), 0);
+        const last = Math.min(Math.floor((y + noseRadius) / this.step), this.radii.length - 1);
+        let changed = false;
+
+        for (let i = first; i <= last; i++) {
+            const dy = i * this.step - y;
+            const reach = Math.max(r + noseRadius - Math.sqrt(noseRadius * noseRadius - dy * dy), MIN_RADIUS);
+            if (reach < this.radii[i]) {
+                this.radii[i] = reach;
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    toProfile() {
+        const points = [new THREE.Vector2(0, 0)];
+        this.radii.forEach((r, i) => points.push(new THREE.Vector2(r, i * this.step)));
+        points.push(new THREE.Vector2(0, this.length));
+        return points;
+    }
+
+    createGeometry({ segments = 48, breaks = [] } = {}) {
+        return new THREE.LatheGeometry(splitProfile(this.toProfile(), breaks), segments);
+    }
+
+    /**
+     * Compara con el perfil objetivo dentro de su longitud, empezando `offset` mm dentro
+     * del tarugo: `excess` es el material que aún sobra y `overcut` lo que se cortó de
+     * más (máximos radiales en mm).
+     */
+    compare(target, targetLength, offset = 0) {
+        let excess = 0;
+        let overcut = 0;
+
+        for (let y = 0; y < targetLength; y += this.step) {
+            const diff = this.radiusAt(y + offset) - radiusAt(target, y);
+            excess = Math.max(excess, diff);
+            overcut = Math.max(overcut, -diff);
+        }
+
+        return { excess, overcut };
+    }
+}
+
+/**
+ * Gubia de torneado con el origen en la punta; el mango se extiende hacia +Z (el tornero).
+ */
+export function createGouge() {
+    const gouge = new THREE.Group();
+    const steel = new THREE.MeshStandardMaterial({ color: 0xcfd8dc, metalness: 0.9, roughness: 0.25 });
+    const handleWood = new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.6 });
+    const ferruleMetal = new THREE.MeshStandardMaterial({ color: 0xb08d57, metalness: 0.8, roughness: 0.3 });
+
+    const nose = new THREE.Mesh(new THREE.SphereGeometry(mmToScene(GOUGE_NOSE), 16, 8), steel);
+    tagPart(nose, 'gougeNose');
+
+    const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.03, 0.03, 1.2, 16), steel);
+    shaft.rotation.x = Math.PI / 2;
+    shaft.position.z = 0.6;
+    tagPart(shaft, 'gougeBlade');
+
+    const ferrule = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.12, 16), ferruleMetal);
+    ferrule.rotation.x = Math.PI / 2;
+    ferrule.position.z = 1.26;
+    tagPart(ferrule, 'gougeFerrule');
+
+    const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.07, 0.06, 1.4, 16), handleWood);
+    handle.rotation.x = Math.PI / 2;
+    handle.position.z = 2.02;
+    tagPart(handle, 'gougeHandle');
+
+    gouge.add(nose, shaft, ferrule, handle);
+    return gouge;
+}
@@ -0,0 +1,65 @@
+/**
+ * Baquetas Ayaman - Units and Scale
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Escala única del modelo: 1 unidad de escena = 100 mm. Con ella el torno mide
+ * lo que un torno real de banco (bancada de 950 mm, altura de puntos de 100 mm,
+ * poleas de 80 y 40 mm) y la baqueta se dibuja a su tamaño real.
+ * Internamente todas las longitudes de diseño se guardan en milímetros.
+ */
+export const MM_PER_UNIT = 100;
+
+export const UNITS = {
+    mm: { label: 'mm', name: 'Milímetros', mmPerUnit: 1, decimals: 1 },
+    in: { label: 'in', name: 'Pulgadas', mmPerUnit: 25.4, decimals: 3 }
+};
+
+export const sceneToMm = (value) => value * MM_PER_UNIT;
+export const mmToScene = (value) => value / MM_PER_UNIT;
+
+export const fromMm = (mm, unit) => mm / UNITS[unit].mmPerUnit;
+export const toMm = (value, unit) => value * UNITS[unit].mmPerUnit;
+
+/**
+ * Redondea una longitud en mm a la precisión propia de la unidad elegida.
+ */
+export function roundLength(mm, unit) {
+    return +fromMm(mm, unit).toFixed(UNITS[unit].decimals);
+}
+
+/**
+ * Longitud en mm como texto en la unidad elegida, p. ej. "14.5 mm" o "0.571 in".
+ */
+export function formatLength(mm, unit, { symbol = true } = {}) {
+    const text = String(roundLength(mm, unit));
+    return symbol ? `${text} ${UNITS[unit].label}` : text;
+}
+
+/**
+ * Volumen en mm³ como cm³ (sistema métrico) o in³.
+ */
+export function formatVolume(mm3, unit) {
+    return unit === 'in' ? `${(mm3 / 25.4 ** 3).toFixed(2)} in³` : `${(mm3 / 1000).toFixed(1)} cm³`;
+}
+
+/**
+ * Masa en gramos, con su equivalente en onzas si se trabaja en pulgadas.
+ */
+export function formatMass(grams, unit) {
+    return unit === 'in' ? `${(grams / 28.3495).toFixed(2)} oz (${grams.toFixed(1)} g)` : `${grams.toFixed(1)} g`;
+}
@@ -0,0 +1,55 @@
+/**
+ * Baquetas Ayaman - Design File Tests
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DESIGN_FORMAT, DESIGN_VERSION, DesignFileError, parseDesign, serializeDesign } from '../modules/design-file.js';
+import { STICK_DEFAULTS } from '../modules/stick.js';
+import { DEFAULT_SPECIES } from '../modules/species.js';
+
+const design = { stick: STICK_DEFAULTS, species: DEFAULT_SPECIES, finish: { base: 'raw', zones: [] }, notes: '' };
+
+// Documento válido con `change` aplicado a su sección design
+function documentWith(change) {
+    const doc = JSON.parse(serializeDesign(design));
+    change(doc.design);
+    return JSON.stringify(doc);
+}
+
+test('lee lo que escribe', () => {
+    const parsed = parseDesign(serializeDesign(design));
+    assert.equal(parsed.species, DEFAULT_SPECIES);
+    assert.equal(parsed.stick.length, STICK_DEFAULTS.length);
+    assert.equal(JSON.parse(serializeDesign(design)).format, DESIGN_FORMAT);
+    assert.equal(JSON.parse(serializeDesign(design)).version, DESIGN_VERSION);
+});
+
+// Claves heredadas de Object.prototype: no son maderas, acabados ni formas de punta
+['constructor', 'toString', 'valueOf', 'hasOwnProperty'].forEach(key => {
+    test(`rechaza la clave heredada "${key}"`, () => {
+        const changes = [
+            (d) => { d.stick.tipShape = key; },
+            (d) => { d.species = key; },
+            (d) => { d.finish.base = key; },
+            (d) => { d.finish.zones = [{ finish: key, from: 0, to: 10 }]; }
+        ];
+        changes.forEach(change => {
+            assert.throws(() => parseDesign(documentWith(change)), DesignFileError);
+        });
+    });
+});
@@ -0,0 +1,34 @@
+/**
+ * Baquetas Ayaman - Test Module Resolution
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Mismas rutas que el importmap de index.html
+const IMPORTS = {
+    'three': '../js/three.module.js',
+    'three/addons/': '../js/'
+};
+
+export async function resolve(specifier, context, next) {
+    if (specifier === 'three') {
+        return { url: new URL(IMPORTS.three, import.meta.url).href, shortCircuit: true };
+    }
+    if (specifier.startsWith('three/addons/')) {
+        const path = specifier.slice('three/addons/'.length);
+        return { url: new URL(IMPORTS['three/addons/'] + path, import.meta.url).href, shortCircuit: true };
+    }
+    return next(specifier, context);
+}
@@ -0,0 +1,25 @@
+/**
+ * Baquetas Ayaman - Test Setup
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// Pruebas con el corredor integrado de Node, desde la carpeta baquetas:
+//   node --import ./tests/setup.mjs --test tests/
+// Los módulos importan 'three' como en el navegador: se resuelve igual que el importmap de index.html.
+
+import { register } from 'node:module';
+
+register('./resolve-three.mjs', import.meta.url);
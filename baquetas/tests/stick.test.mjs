@@ -0,0 +1,45 @@
+/**
+ * Baquetas Ayaman - Drumstick Mass Tests
+ * Copyright (C) 2026 Octavio Rossell <octavio.rossell@gmail.com>, Licar Vazquez <licarochentero@gmail.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STICK_DEFAULTS, buildStickProfile, buildTipCapProfile, stickMassProperties, withTipShape } from '../modules/stick.js';
+import { NYLON_DENSITY } from '../modules/species.js';
+import { revolvedVolume, massOf } from '../modules/profile.js';
+
+const WOOD_DENSITY = 800; // kg/m³, del orden del hickory
+
+test('sin oliva la masa es la del perfil de madera', () => {
+    const stick = withTipShape(STICK_DEFAULTS, 'oval');
+    const { volume } = revolvedVolume(buildStickProfile(stick));
+    assert.ok(Math.abs(stickMassProperties(stick, WOOD_DENSITY).mass - massOf(volume, WOOD_DENSITY)) < 1e-9);
+});
+
+test('con oliva la espiga es madera y el nylon solo la cáscara que la rodea', () => {
+    const stick = withTipShape(STICK_DEFAULTS, 'nylon');
+    const wood = revolvedVolume(buildStickProfile(stick));
+    const cap = revolvedVolume(buildTipCapProfile(stick));
+    const tenon = revolvedVolume(buildStickProfile(stick), stick.length - stick.tipLength);
+
+    const expected = massOf(wood.volume, WOOD_DENSITY) + massOf(cap.volume - tenon.volume, NYLON_DENSITY);
+    const { mass } = stickMassProperties(stick, WOOD_DENSITY);
+    assert.ok(Math.abs(mass - expected) < 1e-9);
+
+    // Sin la oliva (solo la madera, con la espiga desnuda) pesa menos
+    assert.ok(mass > massOf(wood.volume, WOOD_DENSITY));
+});